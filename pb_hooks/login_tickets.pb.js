@@ -0,0 +1,55 @@
+/// <reference path="../pb_data/types.d.ts" />
+/* global routerAdd, $app, $apis, BadRequestError, ForbiddenError */
+
+/**
+ * Login ticket redemption for the client's LoginTicketMonitor (src/lib/device/loginTickets.js).
+ * A ticket is only good once, before expires_at, on the device it was issued
+ * for and, when that device is bound to a PC, on that PC. A good ticket is
+ * marked Redeemed in the same transaction that reads it, so two PCs racing
+ * for it cannot both get in, and the answer is the customer's own auth
+ * response. The client writes the audit record (login_ticket_redemptions).
+ */
+
+routerAdd('POST', '/api/login-tickets/redeem', (e) => {
+  const body = e.requestInfo().body;
+  if (!body.ticket || !body.device) {
+    throw new BadRequestError('ticket and device are required');
+  }
+
+  // Errors are kept until the transaction commits, so an Expired or Rejected status sticks
+  let clientId = '';
+  let refusal = '';
+  $app.runInTransaction((txApp) => {
+    const ticket = txApp.findRecordById('login_tickets', body.ticket);
+    if (ticket.getString('status') !== 'Issued') {
+      refusal = 'This login ticket has already been used';
+      return;
+    }
+    if (ticket.getString('device') !== body.device) {
+      refusal = 'This login ticket is for another PC';
+      return;
+    }
+
+    const device = txApp.findRecordById('devices', body.device);
+    const boundTo = device.getString('machine_id');
+    if (ticket.getDateTime('expires_at').time().unixMilli() <= Date.now()) {
+      ticket.set('status', 'Expired');
+      refusal = 'This login ticket has expired';
+    } else if (boundTo && boundTo !== String(body.machine_id || '')) {
+      ticket.set('status', 'Rejected');
+      refusal = 'This device is bound to another PC';
+    } else {
+      ticket.set('status', 'Redeemed');
+      ticket.set('redeemed_at', new Date().toISOString());
+      clientId = ticket.getString('client');
+    }
+    txApp.save(ticket);
+  });
+
+  if (refusal) {
+    throw new ForbiddenError(refusal);
+  }
+
+  const client = $app.findRecordById('clients', clientId);
+  return $apis.recordAuthResponse(e, client, 'login_ticket');
+});
@@ -0,0 +1,79 @@
+/// <reference path="../pb_data/types.d.ts" />
+/* global routerAdd, onRecordCreateRequest, cronAdd, $app, $apis, Record, BadRequestError, ForbiddenError */
+
+/**
+ * QR pairing for the client's login screen (src/lib/device/pairing.js).
+ * The server owns a pairing's lifetime: a new one is stamped with expires_at,
+ * and a job marks stale ones Expired and deletes old ones. Approving a
+ * pairing issues a login ticket for the device (pb_hooks/login_tickets.pb.js
+ * redeems it). Hooks run isolated, so every handler carries its own constants.
+ */
+
+// A client may only start a Pending pairing, and only the server sets when it expires
+onRecordCreateRequest((e) => {
+  const TTL_MS = 2 * 60 * 1000;
+
+  e.record.set('status', 'Pending');
+  e.record.set('client', '');
+  e.record.set('expires_at', new Date(Date.now() + TTL_MS).toISOString());
+  e.next();
+}, 'device_pairings');
+
+// Approve a scanned code: a customer for themselves, or the counter (a superuser) for the customer named in the body
+routerAdd('POST', '/api/pairings/approve', (e) => {
+  const TICKET_TTL_MS = 2 * 60 * 1000;
+
+  const body = e.requestInfo().body;
+  if (!body.device || !body.code) {
+    throw new BadRequestError('device and code are required');
+  }
+
+  const clientId = e.auth.collection().name === 'clients' ? e.auth.id : String(body.client || '');
+  if (!clientId) {
+    throw new BadRequestError('client is required');
+  }
+
+  let ticketId = '';
+  $app.runInTransaction((txApp) => {
+    const pairing = txApp.findFirstRecordByFilter(
+      'device_pairings',
+      'device = {:device} && code = {:code} && status = "Pending" && expires_at > @now',
+      { device: body.device, code: String(body.code).toUpperCase() }
+    );
+    const client = txApp.findRecordById('clients', clientId);
+
+    const ticket = new Record(txApp.findCollectionByNameOrId('login_tickets'));
+    ticket.set('device', pairing.getString('device'));
+    ticket.set('client', client.id);
+    ticket.set('status', 'Issued');
+    ticket.set('expires_at', new Date(Date.now() + TICKET_TTL_MS).toISOString());
+    txApp.save(ticket);
+
+    pairing.set('status', 'Approved');
+    pairing.set('client', client.id);
+    txApp.save(pairing);
+    ticketId = ticket.id;
+  });
+
+  if (!ticketId) {
+    throw new ForbiddenError('Pairing could not be approved');
+  }
+  return e.json(200, { ticket: ticketId });
+}, $apis.requireAuth('clients', '_superusers'));
+
+// Every minute: expire what has run out, and drop pairings older than a day
+cronAdd('expire_device_pairings', '* * * * *', () => {
+  const KEEP_MS = 24 * 60 * 60 * 1000;
+
+  const stale = $app.findRecordsByFilter('device_pairings', 'status = "Pending" && expires_at <= @now', '', 0, 0);
+  for (const pairing of stale) {
+    pairing.set('status', 'Expired');
+    $app.save(pairing);
+  }
+
+  const cutoff = new Date(Date.now() - KEEP_MS).toISOString().replace('T', ' ');
+  const old = $app.findRecordsByFilter('device_pairings', 'created < {:cutoff}', '', 0, 0, { cutoff });
+  for (const pairing of old) {
+    $app.delete(pairing);
+  }
+});
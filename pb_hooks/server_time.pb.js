@@ -0,0 +1,10 @@
+/// <reference path="../pb_data/types.d.ts" />
+/* global routerAdd */
+
+/**
+ * Server clock for the client's time sync (src/lib/session/serverTime.js).
+ * A plain read: nothing is written, and any client may ask.
+ */
+routerAdd('GET', '/api/server-time', (e) => {
+  return e.json(200, { time: new Date().toISOString() });
+});
@@ -0,0 +1,87 @@
+/// <reference path="../pb_data/types.d.ts" />
+/* global routerAdd, onRecordCreateRequest, $app, $os, $security, ApiError, BadRequestError, UnauthorizedError */
+
+/**
+ * Staff unlock for the client's StaffUnlock prompt (src/lib/device/staffUnlock.js).
+ * Staff PINs are stored in staff_pins as pin_hash = HS256("salt:pin") keyed
+ * with the STAFF_PIN_SECRET environment variable, and never leave the
+ * server. For unlocking while the server is down, the counter issues each
+ * device long random offline codes (staff_offline_codes, stored as PBKDF2
+ * hashes); the client caches them as a list signed with the same secret, so
+ * an unlock from a forged list is flagged when its record reaches the server.
+ * Hooks run isolated, so every handler carries its own constants.
+ */
+
+// Check a PIN; five wrong ones from the same address lock it out for a minute
+routerAdd('POST', '/api/staff-unlock/verify', (e) => {
+  const MAX_ATTEMPTS = 5;
+  const WINDOW_MS = 60 * 1000;
+
+  const body = e.requestInfo().body;
+  const pin = String(body.pin || '');
+  if (!pin || !body.device) {
+    throw new BadRequestError('device and pin are required');
+  }
+
+  const key = `staff_unlock_attempts:${e.realIP()}`;
+  const now = Date.now();
+  const attempts = ($app.store().get(key) || []).filter(time => now - time < WINDOW_MS);
+  if (attempts.length >= MAX_ATTEMPTS) {
+    throw new ApiError(429, 'Too many wrong PINs, try again shortly');
+  }
+
+  const secret = $os.getenv('STAFF_PIN_SECRET');
+  const pins = $app.findRecordsByFilter('staff_pins', 'status = "Active"', '', 0, 0);
+  for (const record of pins) {
+    const hash = $security.hs256(`${record.getString('salt')}:${pin}`, secret);
+    if ($security.equal(hash, record.getString('pin_hash'))) {
+      $app.store().remove(key);
+      return e.json(200, { staff: record.getString('staff'), name: record.getString('name') });
+    }
+  }
+
+  attempts.push(now);
+  $app.store().set(key, attempts);
+  throw new UnauthorizedError('Incorrect PIN');
+});
+
+// The device's offline codes, signed and valid for a week
+routerAdd('GET', '/api/staff-unlock/offline-list', (e) => {
+  const LIFETIME_SECONDS = 7 * 24 * 60 * 60;
+
+  const device = $app.findRecordById('devices', e.request.url.query().get('device'));
+  const codes = $app.findRecordsByFilter(
+    'staff_offline_codes',
+    'device = {:device} && status = "Active"',
+    '',
+    0,
+    0,
+    { device: device.id }
+  );
+
+  const entries = codes.map(record => ({
+    staff: record.getString('staff'),
+    name: record.getString('name'),
+    salt: record.getString('salt'),
+    iterations: record.getInt('iterations'),
+    code_hash: record.getString('code_hash')
+  }));
+
+  const token = $security.createJWT({ device: device.id, entries }, $os.getenv('STAFF_PIN_SECRET'), LIFETIME_SECONDS);
+  return e.json(200, { token });
+});
+
+// An offline unlock carries the list it was checked against; one the server did not sign is flagged
+onRecordCreateRequest((e) => {
+  const allowList = e.record.getString('allow_list');
+  if (allowList) {
+    try {
+      const claims = $security.parseJWT(allowList, $os.getenv('STAFF_PIN_SECRET'));
+      e.record.set('forged', claims.device !== e.record.getString('device'));
+    } catch (error) {
+      e.record.set('forged', true);
+    }
+  }
+
+  e.next();
+}, 'device_unlocks');
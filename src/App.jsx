@@ -2,43 +2,61 @@ import React, { useEffect, useState, useRef, useCallback } from 'react';
 import { Button } from './components/ui/button';
 import { ModeToggle } from './components/theme/toggle-theme';
 import { Label } from './components/ui/label';
-import { computer, window as neuWindow, app, events } from '@neutralinojs/lib';
+import { computer, app } from '@neutralinojs/lib';
 import Login from './components/Login';
+import LockScreen from './components/LockScreen';
 import SessionManager from './components/SessionManager';
 import SnacksInfo from './components/SnacksInfo';
 import DeviceRegistration from './components/DeviceRegistration';
 import SessionStateManager from './components/SessionStateManager';
-import DeviceTokenMonitor from './components/DeviceTokenMonitor';
+import LoginTicketMonitor from './components/LoginTicketMonitor';
 import ScreenshotMonitor from './components/ScreenshotMonitor';
+import CommandMonitor from './components/CommandMonitor';
+import StaffMessages from './components/StaffMessages';
+import StaffUnlock from './components/StaffUnlock';
+import SessionPauseMonitor from './components/SessionPauseMonitor';
+import SessionPausedOverlay from './components/SessionPausedOverlay';
+import SessionTray from './components/SessionTray';
+import ReloginPrompt from './components/ReloginPrompt';
 import { useCollection } from './hooks/useCollection';
 import { getSavedLoginInfo } from './utils/helper_functions';
 import pbclient from '@/lib/pocketbase/pb';
+import { quoteSession, sessionWindow } from '@/lib/session/pricing';
+import { fetchPricingContext } from '@/lib/session/pricingContext';
+import { startQueueReplay } from '@/lib/session/offlineQueue';
+import { localDeviceId, resolveMachineDevice } from '@/lib/device/identity';
+import { COMMAND_TYPE, registerCommandHandler } from '@/lib/device/commands';
+import { extendSessionTo } from '@/lib/session/extension';
+import { SESSION_STATUS, openSessionFilter, closeSession } from '@/lib/session/lifecycle';
+import { watchKeyPolicy } from '@/lib/device/keyPolicy';
+import { clearPrivacyLock, getPrivacyLock } from '@/lib/session/privacyLock';
+import { startTimeSync } from '@/lib/session/serverTime';
+import { startSessionReconciler } from '@/lib/session/reconcile';
+import { KIOSK_REASON, WINDOW_MODE, getKioskState, lockKiosk, startKioskWatchdog, subscribeKiosk, unlockKiosk } from '@/lib/device/kioskController';
 
 function App() {
 	const [whichOs, setWhichOs] = useState('');
-	const [isKioskMode, setIsKioskMode] = useState(false);
+	const [isKioskMode, setIsKioskMode] = useState(getKioskState().locked);
+	const [windowMode, setWindowMode] = useState(getKioskState().mode);
 	const [currentTime, setCurrentTime] = useState('');
 	const [currentDate, setCurrentDate] = useState('');
 	const [deviceId, setDeviceId] = useState(null);
 	const [showDeviceRegistration, setShowDeviceRegistration] = useState(false);
 	const [hasActiveSession, setHasActiveSession] = useState(false);
 	const [activeSessionData, setActiveSessionData] = useState(null);
+	const [bindingConflict, setBindingConflict] = useState(null);
 
 	const { isAuthenticated, getAuthUser, logout } = useCollection('users');
-	const { getList: getDevicesList } = useCollection('devices');
 	const savedInfo = getSavedLoginInfo(); // Getting saved info from LocalStorage
 
-	// Check if device info is stored in localStorage
-	const savedDeviceInfo = localStorage.getItem('device_info');
-	const parsedDeviceInfo = savedDeviceInfo ? JSON.parse(savedDeviceInfo) : null;
-
 	// Initialize state with saved values or defaults
 	const [isLoggedIn, setIsLoggedIn] = useState(savedInfo?.isLoggedIn || isAuthenticated());
 	const [username, setUsername] = useState(savedInfo?.username || getAuthUser()?.username || '');
 	const [userId, setUserId] = useState(savedInfo?.userId || getAuthUser()?.id || null);
 
-	const keyboardHandler = useRef(null);
-	const autoLoginAttempted = useRef(false);
+	const logoutRef = useRef(null);
+	// Last session state the kiosk acted on, so a repeated poll result changes nothing
+	const sessionStateRef = useRef(null);
 
 	async function getOs() {
 		try {
@@ -63,84 +81,13 @@ function App() {
 		setCurrentDate(now.toLocaleDateString(undefined, options));
 	}
 
-	async function enableKioskMode() {
-		try {
-			await neuWindow.setSize({
-				width: window.screen.width,
-				height: window.screen.height,
-				resizable: false,
-				borderless: true,
-				alwaysOnTop: true,
-				maximize: true
-			});
-
-			await neuWindow.setFullScreen();
-			const fullScreenStatus = await neuWindow.isFullScreen();
-			setIsKioskMode(fullScreenStatus);
-			console.log('Kiosk mode enabled:', fullScreenStatus);
-
-			if (!keyboardHandler.current) {
-				keyboardHandler.current = (e) => {
-					// Prevent Ctrl, Alt, Win, Tab keys
-					if (e.ctrlKey || e.altKey || e.metaKey || e.key === 'Tab') {
-						e.preventDefault();
-						e.stopPropagation();
-						console.log('Blocked key:', e.key);
-						return false;
-					}
-				};
-
-				document.addEventListener('keydown', keyboardHandler.current, true);
-				console.log('Keyboard shortcuts disabled');
-			}
-		} catch (error) {
-			console.error('Error enabling kiosk mode:', JSON.stringify(error));
-			setIsKioskMode(false);
-		}
+	// Kiosk mode is owned by the kiosk controller; these only supply a default reason
+	function enableKioskMode(reason = KIOSK_REASON.NO_SESSION, options = {}) {
+		return lockKiosk(reason, options);
 	}
 
-	async function disableKioskMode() {
-		try {
-			const isFullScreen = await neuWindow.isFullScreen();
-			if (isFullScreen) {
-				await neuWindow.exitFullScreen();
-			}
-
-			// Set fixed window size of 600x800 and disable resizing
-			await neuWindow.setSize({
-				width: 600,
-				height: 800,
-				resizable: false, // Prevent resizing
-				borderless: false, // Enable window bar
-				alwaysOnTop: false,
-				maximize: false
-			});
-
-			// Set fixed size to prevent resizing
-			// Note: Neutralino.js doesn't have setMinSize/setMaxSize methods
-			// We're using resizable: false instead
-
-			await neuWindow.center();
-
-			// Store window size in localStorage to restore on reload
-			localStorage.setItem('window_size', JSON.stringify({
-				width: 600,
-				height: 800,
-				isLoggedIn: true
-			}));
-
-			// Enabling all keyboard shortcuts
-			if (keyboardHandler.current) {
-				document.removeEventListener('keydown', keyboardHandler.current, true);
-				keyboardHandler.current = null;
-				console.log('Keyboard shortcuts enabled');
-			}
-
-			setIsKioskMode(false);
-			console.log('Kiosk mode disabled, window resized to 600x800');
-		} catch (error) {
-			console.error('Error disabling kiosk mode:', JSON.stringify(error));
-		}
+	function disableKioskMode(reason = KIOSK_REASON.SESSION_ACTIVE, options = {}) {
+		return unlockKiosk(reason, options);
 	}
 
 	const handleLogin = async (user) => {
@@ -170,7 +117,7 @@ function App() {
 		if (loginDeviceId) {
 			try {
 				const sessions = await pbclient.collection('sessions').getList(1, 1, {
-					filter: `device = "${loginDeviceId}" && (status = "Booked" || status = "Active" || status = "Occupied" || status = "Extended")`,
+					filter: openSessionFilter(loginDeviceId),
 					sort: '-created'
 				});
 
@@ -217,15 +164,139 @@ function App() {
 		console.log('Session will be started automatically');
 	};
 
+	// Log out: close the device's open session, free the device and lock the screen
+	const handleLogout = async (reason = 'manual-logout') => {
+		try {
+			// Get device ID and session ID from localStorage
+			const savedInfo = localStorage.getItem('user_login_info');
+			let deviceId = null;
+
+			if (savedInfo) {
+				const parsedInfo = JSON.parse(savedInfo);
+				deviceId = parsedInfo.deviceId;
+			}
+
+			// Close active session if exists
+			if (deviceId) {
+				try {
+					// Find active session for this device with any relevant status
+					const sessions = await pbclient.collection('sessions').getList(1, 1, {
+						filter: openSessionFilter(deviceId),
+						sort: '-created'
+					});
+
+					console.log("Session query filter:", openSessionFilter(deviceId));
+
+					if (sessions && sessions.items.length > 0) {
+						const session = sessions.items[0];
+						console.log("Closing session:", session.id);
+
+						// Calculate session cost with the same pricing engine as SessionManager
+						let sessionCost = session.session_total || 0;
+						let discountAmount = 0;
+						let discountRate = 0;
+
+						try {
+							const { group, happyHours } = await fetchPricingContext(session.device);
+							const { inTime, outTime } = sessionWindow(session);
+							const quote = quoteSession({ group, happyHours, inTime, outTime });
+
+							if (quote.hourlyRate > 0) {
+								sessionCost = quote.finalCost;
+								discountAmount = quote.discountAmount;
+								discountRate = quote.discountRate;
+							}
+						} catch (costError) {
+							console.error('Error calculating session cost at logout:', costError);
+						}
+
+						// Close the session with payment details (also writes the Closed log);
+						// closeSession re-reads it and leaves it alone if it is already closed
+						await closeSession(session, {
+							amount_paid: sessionCost,
+							session_total: sessionCost,
+							discount_amount: discountAmount,
+							discount_rate: discountRate
+						});
+
+						console.log("Session closed successfully");
+					}
+
+					// Update device status to Available
+					await pbclient.collection('devices').update(deviceId, {
+						status: 'Available',
+						client: ''
+					});
+
+					console.log("Device status updated to Available");
+				} catch (sessionError) {
+					console.error("Error closing session:", sessionError);
+				}
+			}
+
+			// Log out from PocketBase
+			logout();
+			clearPrivacyLock();
+
+			// Clear login state
+			setIsLoggedIn(false);
+			setUsername('');
+			setUserId(null);
+
+			// Clear saved login info
+			localStorage.removeItem('user_login_info');
+			// Clear client app login flag
+			localStorage.removeItem('client_app_login');
+
+			await enableKioskMode(reason);
+			console.log('User logged out and kiosk mode enabled');
+		} catch (error) {
+			console.error("Error during logout:", error);
+
+			// Ensure logout happens even if there are errors
+			logout();
+			clearPrivacyLock();
+			setIsLoggedIn(false);
+			setUsername('');
+			setUserId(null);
+			localStorage.removeItem('user_login_info');
+			enableKioskMode(KIOSK_REASON.LOGGED_OUT);
+		}
+	};
+
+	logoutRef.current = handleLogout;
+
+	// The session ran out (grace period included): logging out closes and bills it
+	const handleSessionExpired = useCallback(() => {
+		logoutRef.current(KIOSK_REASON.SESSION_ENDED);
+	}, []);
+
+	// Staff maintenance unlock: leave kiosk mode until the window runs out
+	const handleMaintenanceUnlock = useCallback(async (staff, until) => {
+		console.log('Kiosk mode disabled for maintenance by', staff.name);
+		await disableKioskMode(KIOSK_REASON.MAINTENANCE, { until });
+	}, []);
+
+	// Relock after maintenance, unless a customer session is running
+	const handleMaintenanceRelock = useCallback(async () => {
+		if (hasActiveSession && isLoggedIn) {
+			await disableKioskMode(KIOSK_REASON.SESSION_ACTIVE, { release: true });
+			return;
+		}
+		await enableKioskMode(KIOSK_REASON.NO_SESSION, { release: true });
+		console.log('Kiosk mode enabled after maintenance');
+	}, [hasActiveSession, isLoggedIn]);
+
 	// Handle device registration
 	const handleDeviceRegistered = async (newDeviceId) => {
 		console.log("Device registered:", newDeviceId);
 		setDeviceId(newDeviceId);
 		setShowDeviceRegistration(false);
+		setBindingConflict(null);
 
 		// Enable kiosk mode after device registration (default state)
 		try {
-			await enableKioskMode();
+			await enableKioskMode(KIOSK_REASON.NO_SESSION);
 			console.log("Kiosk mode enabled after device registration (default state)");
 		} catch (error) {
 			console.error("Error enabling kiosk mode after device registration:", error);
@@ -234,12 +305,30 @@ function App() {
 
 	// Handle session state changes
 	const handleSessionStateChange = async (isActive, sessionData) => {
-		console.log("Session state changed:", isActive, sessionData);
 		setHasActiveSession(isActive);
 		setActiveSessionData(sessionData);
 
-		// If there's an active session, disable kiosk mode
-		if (isActive && isLoggedIn) {
+		// The session check repeats itself every poll; only a real change moves the kiosk
+		const sessionState = `${isActive}:${sessionData?.id || ''}:${sessionData?.status || ''}:${isLoggedIn}`;
+		if (sessionStateRef.current === sessionState) {
+			return;
+		}
+		sessionStateRef.current = sessionState;
+		console.log("Session state changed:", isActive, sessionData);
+
+		// A paused session keeps the device but locks the screen until it is resumed
+		if (isActive && sessionData?.status === SESSION_STATUS.PAUSED) {
+			try {
+				await enableKioskMode(KIOSK_REASON.SESSION_PAUSED);
+				console.log('Kiosk mode enabled due to paused session');
+			} catch (error) {
+				console.error('Error enabling kiosk mode:', error);
+			}
+		} else if (isActive && isLoggedIn && getPrivacyLock()) {
+			// The customer locked their own screen; only their PIN or password lifts it
+			console.log('Keeping kiosk mode for the privacy lock');
+		} else if (isActive && isLoggedIn) {
+			// If there's an active session, disable kiosk mode
 			try {
 				await disableKioskMode();
 				console.log("Kiosk mode disabled due to active session");
@@ -257,9 +346,14 @@ function App() {
 		}
 	};
 
-	// Handle auto-login from device token
+	// Handle a session paused or resumed by staff
+	const handlePauseChange = useCallback((sessionData) => {
+		handleSessionStateChange(true, sessionData);
+	}, [isLoggedIn]);
+
+	// Handle auto-login from a login ticket
 	const handleAutoLogin = async (userData) => {
-		console.log("Auto-login from device token:", userData);
+		console.log("Auto-login from login ticket:", userData);
 
 		try {
 			// Set user information
@@ -275,13 +369,13 @@ function App() {
 				deviceId: userData.deviceId
 			}));
 
-			console.log("Auto-login successful from device token");
+			console.log("Auto-login successful from login ticket");
 
 			// Check if there's an active session for this device
 			if (userData.deviceId) {
 				try {
 					const sessions = await pbclient.collection('sessions').getList(1, 1, {
-						filter: `device = "${userData.deviceId}" && (status = "Booked" || status = "Active" || status = "Occupied" || status = "Extended")`,
+						filter: openSessionFilter(userData.deviceId),
 						sort: '-created'
 					});
 
@@ -319,460 +413,237 @@ function App() {
 		}
 	};
 
-	// Function to check for device token and auto-login
-	const checkDeviceTokenAndLogin = useCallback(async () => {
-		// Skip if we've already attempted auto-login
-		if (autoLoginAttempted.current) {
-			console.log("Auto-login already attempted, skipping");
-			return false;
-		}
+	// Replay session changes queued while the server was unreachable
+	useEffect(() => startQueueReplay(), []);
 
-		// Mark that we've attempted auto-login
-		autoLoginAttempted.current = true;
+	// Run staff commands sent to this device (screenshots are handled by ScreenshotMonitor)
+	useEffect(() => {
+		if (!deviceId) {
+			return;
+		}
 
-		try {
-			console.log("Checking for device token to auto-login");
-
-			// Get device information - this would typically be based on some device identifier
-			// For now, we'll just get the first available device with a token
-			const devices = await getDevicesList(1, 1, '-created', 'status = "Occupied" && token != ""');
-
-			if (devices && devices.length > 0) {
-				const device = devices[0];
-				console.log("Found device with token:", device.id);
-
-				if (device.token) {
-					console.log("Attempting auto-login with device token");
-
-					try {
-						// Set the auth store with the token
-						pbclient.authStore.save(device.token, JSON.parse(device?.record));
-
-						// Check if the token is valid
-						if (pbclient.authStore.isValid) {
-							try {
-								// Get the user ID from the auth store
-								// Note: We're using authStore.token to get the user ID directly
-								// to avoid using the deprecated model property
-								const tokenData = JSON.parse(atob(pbclient.authStore.token.split('.')[1]));
-								const userId = tokenData.id || tokenData.sub;
-
-								if (!userId) {
-									console.error("No user ID found in token");
-									return false;
-								}
-
-								// Get the user data
-								const authUser = await pbclient.collection('clients').getOne(userId);
-
-								if (authUser) {
-									console.log("Auto-login successful:", authUser);
-
-									// Make sure we have a username to display
-									let displayUsername = authUser.username;
-									if (!displayUsername && authUser.email) {
-										displayUsername = authUser.email.split('@')[0];
-									} else if (!displayUsername) {
-										displayUsername = "User";
-									}
-
-									// Set user information
-									setIsLoggedIn(true);
-									setUsername(displayUsername);
-									setUserId(authUser.id);
-
-									// Store login info in localStorage
-									localStorage.setItem('user_login_info', JSON.stringify({
-										isLoggedIn: true,
-										username: displayUsername,
-										userId: authUser.id,
-										deviceId: device.id
-									}));
-
-									// Disable kiosk mode after auto-login if there's an active session
-									try {
-										// Look for active sessions for this device
-										const sessions = await pbclient.collection('sessions').getList(1, 1, {
-											filter: `device = "${device.id}" && (status = "Booked" || status = "Active" || status = "Occupied" || status = "Extended")`,
-											sort: '-created'
-										});
-
-										if (sessions && sessions.items.length > 0) {
-											// If there's an active session, disable kiosk mode
-											await disableKioskMode();
-											console.log("Kiosk mode disabled after auto-login due to active session");
-										} else {
-											// If there's no active session, enable kiosk mode
-											await enableKioskMode();
-											console.log("Kiosk mode enabled after auto-login due to no active session");
-										}
-									} catch (sessionError) {
-										console.error("Error checking for active sessions during auto-login:", sessionError);
-										// Default to disabling kiosk mode on error
-										await disableKioskMode();
-										console.log("Kiosk mode disabled after auto-login (default on error)");
-									}
-
-									console.log("Auto-login successful, device ID:", device.id);
-
-									// Check if there's an existing session for this device
-									try {
-										// Look for active sessions for this device with any relevant status
-										const sessions = await pbclient.collection('sessions').getList(1, 1, {
-											filter: `device = "${device.id}" && (status = "Booked" || status = "Active" || status = "Occupied" || status = "Extended")`,
-											sort: '-created'
-										});
-
-										console.log("Session query filter:", `device = "${device.id}" && (status = "Booked" || status = "Active" || status = "Occupied" || status = "Extended")`);
-
-										if (sessions && sessions.items.length > 0) {
-											const session = sessions.items[0];
-											console.log("Found existing session for device:", session);
-											// The SessionManager component will handle displaying this session
-										} else {
-											console.log("No existing session found for device, a new one will be created");
-											// The SessionManager component will create a new session
-										}
-									} catch (sessionError) {
-										console.error("Error checking for existing sessions:", sessionError);
-										// Continue anyway, SessionManager will handle session creation
-									}
-
-									return true;
-								}
-							} catch (tokenError) {
-								console.error("Error processing token or getting user data:", tokenError);
-							}
-						} else {
-							console.error("Token is invalid");
-						}
-					} catch (authError) {
-						console.error("Error authenticating with token:", authError);
-						// Clear the invalid auth data
-						pbclient.authStore.clear();
+		const unregister = [
+			registerCommandHandler(COMMAND_TYPE.LOCK, async () => {
+				await enableKioskMode(KIOSK_REASON.REMOTE_LOCK);
+				return 'Locked';
+			}),
+			registerCommandHandler(COMMAND_TYPE.UNLOCK, async () => {
+				// Staff can also lift a customer's privacy lock
+				clearPrivacyLock();
+				await disableKioskMode(KIOSK_REASON.REMOTE_UNLOCK);
+				return 'Unlocked';
+			}),
+			registerCommandHandler(COMMAND_TYPE.MESSAGE, async (payload, command) => {
+				if (!payload.text) {
+					throw new Error('Message command needs payload.text');
+				}
+				// Shown by StaffMessages like any other staff message
+				window.dispatchEvent(new CustomEvent('staff-message', {
+					detail: {
+						id: `command_${command.id}`,
+						title: payload.title || 'Message from staff',
+						body: payload.text,
+						priority: payload.priority,
+						fullscreen: Boolean(payload.fullscreen),
+						created: command.created
 					}
+				}));
+				return 'Shown';
+			}),
+			registerCommandHandler(COMMAND_TYPE.LOGOUT, async () => {
+				await logoutRef.current('remote-logout');
+				return 'Logged out';
+			}),
+			registerCommandHandler(COMMAND_TYPE.RESTART_CLIENT, async () => {
+				// Give the command time to report back before the process goes away
+				setTimeout(() => app.restartProcess(), 1000);
+				return 'Restarting';
+			}),
+			registerCommandHandler(COMMAND_TYPE.EXTEND, async (payload) => {
+				const minutes = Number(payload.minutes) || 0;
+				if (minutes <= 0) {
+					throw new Error('Extend command needs payload.minutes');
 				}
-			} else {
-				console.log("No devices with tokens found");
-			}
 
-			return false;
-		} catch (error) {
-			console.error("Error during auto-login:", error);
-			return false;
-		}
-	}, [getDevicesList, disableKioskMode]);
+				const session = await pbclient.collection('sessions').getFirstListItem(openSessionFilter(deviceId), {
+					sort: '-created'
+				});
+				const newOutTime = new Date(new Date(session.out_time).getTime() + minutes * 60 * 1000);
+				const { session: extended } = await extendSessionTo(session, newOutTime);
+				return `Extended to ${extended.out_time}`;
+			})
+		];
 
-	// Setup app initialization
-	useEffect(() => {
-		// Initialize the app
-		const initApp = async () => {
-			await getOs();
-
-			// Check if device info is stored in localStorage
-			if (parsedDeviceInfo && parsedDeviceInfo.deviceId) {
-				console.log("Found device info in localStorage:", parsedDeviceInfo);
-				setDeviceId(parsedDeviceInfo.deviceId);
-
-				// Check if user is already logged in
-				if (isLoggedIn) {
-					// Check if there's an active session
-					try {
-						const sessions = await pbclient.collection('sessions').getList(1, 1, {
-							filter: `device = "${parsedDeviceInfo.deviceId}" && (status = "Booked" || status = "Active" || status = "Occupied" || status = "Extended")`,
-							sort: '-created'
-						});
+		return () => unregister.forEach(stop => stop());
+	}, [deviceId]);
 
-						if (sessions && sessions.items.length > 0) {
-							// If there's an active session, disable kiosk mode
-							await disableKioskMode();
-							console.log("Kiosk mode disabled for logged-in user with active session");
-
-							// Update session state
-							setHasActiveSession(true);
-							setActiveSessionData(sessions.items[0]);
-						} else {
-							// If there's no active session, enable kiosk mode
-							await enableKioskMode();
-							console.log("Kiosk mode enabled for logged-in user with no active session");
-						}
-					} catch (sessionError) {
-						console.error("Error checking for active sessions:", sessionError);
-						// Default to enabling kiosk mode
-						await enableKioskMode();
-						console.log("Kiosk mode enabled for logged-in user (default after error)");
-					}
-				} else {
-					// Try auto-login with device token
-					const autoLoginSuccessful = await checkDeviceTokenAndLogin();
+	// Follow the kiosk controller, and keep the lock enforced while it is on
+	useEffect(() => {
+		const unsubscribe = subscribeKiosk(state => {
+			setIsKioskMode(state.locked);
+			setWindowMode(state.mode);
+		});
+		const stopWatchdog = startKioskWatchdog();
 
-					if (!autoLoginSuccessful) {
-						// If auto-login failed, enable kiosk mode
-						await enableKioskMode();
-						console.log("Kiosk mode enabled after failed auto-login attempt");
-					}
-					// If auto-login succeeded, the handleAutoLogin function will handle kiosk mode
-				}
-			} else {
-				console.log("No device info found in localStorage, showing device registration");
-				// If no device info, show device registration
-				setShowDeviceRegistration(true);
-				// Temporarily disable kiosk mode for device registration
-				await disableKioskMode();
-				console.log("Kiosk mode temporarily disabled for device registration");
-			}
+		return () => {
+			unsubscribe();
+			stopWatchdog();
 		};
+	}, []);
 
-		// Listen for custom event to enable kiosk mode
-		const handleKioskModeEvent = (event) => {
-			console.log("Received enable-kiosk-mode event:", event.detail);
+	// Apply the key policy for this device's group
+	useEffect(() => {
+		if (!deviceId) {
+			return;
+		}
 
-			// If force is true, use a more aggressive approach
-			if (event.detail.force) {
-				console.log("Force flag is true, using aggressive kiosk mode approach");
+		return watchKeyPolicy(deviceId);
+	}, [deviceId]);
 
-				// Try to enable kiosk mode with multiple approaches
-				try {
-					// First try the normal function
-					enableKioskMode(event.detail.reason);
-
-					// Then try direct API calls as backup
-					if (typeof neuWindow !== 'undefined') {
-						// Set window properties
-						neuWindow.setSize({
-							width: window.screen.width,
-							height: window.screen.height,
-							resizable: false,
-							borderless: true,
-							alwaysOnTop: true,
-							maximize: true
-						})
-							.then(() => console.log("Window size set for kiosk mode"))
-							.catch(err => console.error("Error setting window size:", err));
-
-						// Set full screen
-						neuWindow.setFullScreen()
-							.then(() => console.log("Full screen set for kiosk mode"))
-							.catch(err => console.error("Error setting full screen:", err));
-					}
+	// Keep session time in step with the server, whatever the PC clock says
+	useEffect(() => {
+		if (!deviceId) {
+			return;
+		}
 
-					// Set state
-					setIsKioskMode(true);
-
-					// Disable keyboard shortcuts
-					const handler = (e) => {
-						// Prevent Ctrl, Alt, Win, Tab keys
-						if (e.ctrlKey || e.altKey || e.metaKey || e.key === 'Tab') {
-							e.preventDefault();
-							e.stopPropagation();
-							console.log('Blocked key:', e.key);
-							return false;
-						}
-					};
+		return startTimeSync(deviceId);
+	}, [deviceId]);
 
-					// Remove existing handler if any
-					if (keyboardHandler.current) {
-						document.removeEventListener('keydown', keyboardHandler.current, true);
-					}
+	// Close sessions left open by a PC that was switched off before they ran out
+	useEffect(() => {
+		if (!deviceId) {
+			return;
+		}
 
-					// Add new handler
-					document.addEventListener('keydown', handler, true);
-					keyboardHandler.current = handler;
+		return startSessionReconciler(deviceId);
+	}, [deviceId]);
 
-					console.log("Keyboard shortcuts disabled for kiosk mode");
-				} catch (error) {
-					console.error("Error in aggressive kiosk mode approach:", error);
+	// Find which device this PC is from its machine identity, so it re-binds even after localStorage is cleared
+	useEffect(() => {
+		const resolveDevice = async () => {
+			try {
+				const { status, device } = await resolveMachineDevice();
+
+				if (status === 'bound') {
+					console.log('Machine bound to device:', device.name);
+					setDeviceId(device.id);
+					return;
 				}
-			} else {
-				// Normal approach
-				enableKioskMode(event.detail.reason);
+
+				if (status === 'conflict') {
+					setBindingConflict(device);
+				}
+			} catch (error) {
+				// Server unreachable: keep the last device this PC used
+				console.error('Error resolving machine identity:', error);
+				const savedDeviceId = await localDeviceId();
+				if (savedDeviceId) {
+					setDeviceId(savedDeviceId);
+				}
+				return;
 			}
+
+			// No usable device for this machine, ask for one
+			setShowDeviceRegistration(true);
+			await disableKioskMode(KIOSK_REASON.DEVICE_REGISTRATION);
 		};
 
-		// Add event listener
-		window.addEventListener('enable-kiosk-mode', handleKioskModeEvent);
+		resolveDevice();
+	}, []);
+
+	// Show the OS and keep the clock ticking
+	// The kiosk state at startup comes from the kiosk controller, the device from the identity check above
+	useEffect(() => {
+		getOs();
+
+		updateTime(); // Initial update
+		const timeInterval = setInterval(updateTime, 1000);
 
-		// Clean up event listener
 		return () => {
-			window.removeEventListener('enable-kiosk-mode', handleKioskModeEvent);
+			clearInterval(timeInterval);
 		};
+	}, []);
 
-		// Register app exit handler
-		const setupExitHandler = async () => {
-			events.on('windowClose', () => {
-				console.log('Window closing, exiting app');
-				app.exit();
-			});
-		};
+	// Listen for custom event to enable kiosk mode
+	useEffect(() => {
+		const handleKioskModeEvent = (event) => {
+			console.log("Received enable-kiosk-mode event:", event.detail);
 
-		// Set up time update interval
-		updateTime(); // Initial update
-		const timeInterval = setInterval(updateTime, 1000);
+			enableKioskMode(event.detail && event.detail.reason);
+		};
 
-		// Run initialization
-		initApp();
-		setupExitHandler();
+		window.addEventListener('enable-kiosk-mode', handleKioskModeEvent);
 
-		// Cleanup function
+		// Clean up event listener
 		return () => {
-			clearInterval(timeInterval);
-			if (keyboardHandler.current) {
-				document.removeEventListener('keydown', keyboardHandler.current, true);
-			}
+			window.removeEventListener('enable-kiosk-mode', handleKioskModeEvent);
 		};
-	}, [getOs, parsedDeviceInfo, isLoggedIn, enableKioskMode, checkDeviceTokenAndLogin, disableKioskMode]);
+	}, []);
+
+	// The docked timer window only has room for the countdown
+	const compactWindow = windowMode === WINDOW_MODE.MINI && !isKioskMode;
 
 	return (
 		<div className="w-full min-h-screen flex flex-col justify-center items-center">
 			{/* Session state manager - invisible component that manages session state */}
-			{deviceId && <SessionStateManager deviceId={deviceId} onSessionStateChange={handleSessionStateChange} />}
+			{deviceId && <SessionStateManager deviceId={deviceId} onSessionStateChange={handleSessionStateChange} onSessionExpired={handleSessionExpired} />}
+
+			{/* Login ticket monitor - invisible component that logs in with tickets issued at the counter */}
+			{deviceId && !isLoggedIn && <LoginTicketMonitor deviceId={deviceId} onAutoLogin={handleAutoLogin} />}
+
+			{/* Screenshot monitor - invisible component that answers screenshot commands, logged in or not */}
+			{deviceId && <ScreenshotMonitor deviceId={deviceId} />}
+
+			{/* Command monitor - invisible component that runs staff commands sent to this device */}
+			{deviceId && <CommandMonitor deviceId={deviceId} />}
+
+			{/* Staff unlock - hidden PIN prompt for maintenance and closing the app */}
+			<StaffUnlock deviceId={deviceId} onUnlock={handleMaintenanceUnlock} onRelock={handleMaintenanceRelock} />
 
-			{/* Device token monitor - invisible component that monitors device token */}
-			{deviceId && <DeviceTokenMonitor deviceId={deviceId} onAutoLogin={handleAutoLogin} />}
+			{/* Staff messages - toasts and full-screen messages sent from the counter */}
+			{deviceId && <StaffMessages deviceId={deviceId} userId={userId} />}
 
-			{/* Screenshot monitor - invisible component that monitors for screenshot requests */}
-			{deviceId && isLoggedIn && <ScreenshotMonitor deviceId={deviceId} />}
+			{/* Session pause monitor - invisible component that applies staff pause/resume requests */}
+			{deviceId && <SessionPauseMonitor deviceId={deviceId} onPauseChange={handlePauseChange} />}
+
+			{/* Session tray - invisible component that keeps the timer and quick actions in the system tray */}
+			{deviceId && isLoggedIn && <SessionTray session={activeSessionData} deviceId={deviceId} userId={userId} />}
+
+			{/* Asks for the password again if the login could not be refreshed; the session keeps running */}
+			{isLoggedIn && <ReloginPrompt />}
+
+			{activeSessionData?.status === SESSION_STATUS.PAUSED && <SessionPausedOverlay session={activeSessionData} />}
 
 			{showDeviceRegistration ? (
 				<div className="mt-16">
-					<DeviceRegistration onDeviceRegistered={handleDeviceRegistered} />
+					<DeviceRegistration onDeviceRegistered={handleDeviceRegistered} conflictDevice={bindingConflict} />
 				</div>
 			) : !isLoggedIn ? (
-				<>
-					{isKioskMode && (
-						<div className="fixed top-0 left-0 w-full bg-black text-white p-4 flex justify-between items-center">
-							<div className="text-xl font-bold">{currentTime}</div>
-							<div className="text-sm">{currentDate}</div>
-							<div className="text-sm">{whichOs}</div>
-						</div>
-					)}
+				isKioskMode ? (
+					<LockScreen deviceId={deviceId} currentTime={currentTime} currentDate={currentDate} whichOs={whichOs}>
+						<Login onLogin={handleLogin} isKioskMode={isKioskMode} deviceId={deviceId} />
+					</LockScreen>
+				) : (
 					<div className="mt-16">
-						<Login onLogin={handleLogin} isKioskMode={isKioskMode} />
+						<Login onLogin={handleLogin} isKioskMode={isKioskMode} deviceId={deviceId} />
 					</div>
-				</>
+				)
 			) : (
 				<>
 					<div className="w-full max-w-6xl p-4">
-						<div className="flex justify-between items-center mb-6">
+						{!compactWindow && <div className="flex justify-between items-center mb-6">
 							<h1 className="text-2xl font-bold">Welcome, {username}!</h1>
 							<div className="flex items-center gap-4">
 								<Label>Current Time: {currentTime}</Label>
 								<ModeToggle />
 								<Button
 									variant="destructive"
-									onClick={async () => {
-										try {
-											// Get device ID and session ID from localStorage
-											const savedInfo = localStorage.getItem('user_login_info');
-											let deviceId = null;
-
-											if (savedInfo) {
-												const parsedInfo = JSON.parse(savedInfo);
-												deviceId = parsedInfo.deviceId;
-											}
-
-											// Close active session if exists
-											if (deviceId) {
-												try {
-													// Find active session for this device with any relevant status
-													const sessions = await pbclient.collection('sessions').getList(1, 1, {
-														filter: `device = "${deviceId}" && (status = "Booked" || status = "Active" || status = "Occupied" || status = "Extended")`,
-														sort: '-created'
-													});
-
-													console.log("Session query filter:", `device = "${deviceId}" && (status = "Booked" || status = "Active" || status = "Occupied" || status = "Extended")`);
-
-													if (sessions && sessions.items.length > 0) {
-														const session = sessions.items[0];
-														console.log("Closing session:", session.id);
-
-														// Calculate session cost
-														let sessionCost = session.session_total || 0;
-														let discountAmount = 0;
-														let discountRate = 0;
-
-														// Update session with closed status and payment details
-														await pbclient.collection('sessions').update(session.id, {
-															status: 'Closed',
-															amount_paid: sessionCost,
-															discount_amount: discountAmount,
-															discount_rate: discountRate
-														});
-
-														// Create session log entry
-														await pbclient.collection('session_logs').create({
-															session_id: session.id,
-															type: 'Closed',
-															session_amount: sessionCost
-														});
-
-														console.log("Session closed successfully");
-													}
-
-													// Update device status to Available
-													await pbclient.collection('devices').update(deviceId, {
-														status: 'Available',
-														token: '',
-														client_record: ''
-													});
-
-													console.log("Device status updated to Available");
-												} catch (sessionError) {
-													console.error("Error closing session:", sessionError);
-												}
-											}
-
-											// Log out from PocketBase
-											logout();
-
-											// Clear login state
-											setIsLoggedIn(false);
-											setUsername('');
-											setUserId(null);
-
-											// Clear saved login info
-											localStorage.removeItem('user_login_info');
-											// Clear client app login flag
-											localStorage.removeItem('client_app_login');
-
-											// Enable kiosk mode using the aggressive approach
-											try {
-												console.log("Enabling kiosk mode after manual logout");
-
-												// Dispatch event with force flag
-												const kioskEvent = new CustomEvent('enable-kiosk-mode', {
-													detail: { reason: 'manual-logout', force: true }
-												});
-												window.dispatchEvent(kioskEvent);
-
-												// Also call the function directly as backup
-												enableKioskMode('manual-logout');
-
-												console.log('User logged out and kiosk mode enabled');
-											} catch (kioskError) {
-												console.error("Error enabling kiosk mode after logout:", kioskError);
-											}
-										} catch (error) {
-											console.error("Error during logout:", error);
-
-											// Ensure logout happens even if there are errors
-											logout();
-											setIsLoggedIn(false);
-											setUsername('');
-											setUserId(null);
-											localStorage.removeItem('user_login_info');
-											// Dispatch event with force flag
-											const kioskEvent = new CustomEvent('enable-kiosk-mode', {
-												detail: { reason: 'error-logout', force: true }
-											});
-											window.dispatchEvent(kioskEvent);
-										}
-									}}
+									onClick={() => handleLogout()}
 								>
 									Logout
 								</Button>
 							</div>
-						</div>
+						</div>}
 
 						<div className="grid grid-cols-1 md:grid-cols-2 gap-6">
 							{/* Session information */}
@@ -780,13 +651,15 @@ function App() {
 								userId={userId}
 								activeSession={hasActiveSession}
 								sessionData={activeSessionData}
+								compact={compactWindow}
+								onExpire={handleSessionExpired}
 							/>
 
 							{/* Snacks information */}
-							<SnacksInfo />
+							{!compactWindow && <SnacksInfo session={activeSessionData} />}
 						</div>
 
-						<div className="mt-6 p-4 border rounded-lg">
+						{!compactWindow && <div className="mt-6 p-4 border rounded-lg">
 							<div className="flex justify-between items-center">
 								<div>
 									<Label htmlFor="osinfo">System: {whichOs}</Label>
@@ -800,7 +673,7 @@ function App() {
 									{currentDate}
 								</div>
 							</div>
-						</div>
+						</div>}
 					</div>
 				</>
 			)}
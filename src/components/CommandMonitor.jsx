@@ -0,0 +1,62 @@
+import { useEffect, useCallback, useRef } from 'react';
+import { useRealtimePb } from '@/hooks/useRealtimePb';
+import { COMMAND_STATUS, executeCommand, fetchPendingCommands, pendingCommandsFilter } from '@/lib/device/commands';
+
+/**
+ * Component to run staff commands queued for this device
+ * Commands arrive through real-time updates with a polling fallback, and run one at a time in the order they were created
+ * This component doesn't render anything
+ */
+const CommandMonitor = ({ deviceId }) => {
+  const queueRef = useRef(Promise.resolve());
+
+  // Use real-time hook to monitor commands for this device
+  const { data: commands } = useRealtimePb(
+    'device_commands',
+    deviceId ? pendingCommandsFilter(deviceId) : ''
+  );
+
+  // Run commands one after another, oldest first
+  const runCommands = useCallback((records) => {
+    const pending = records
+      .filter(command => command.device === deviceId && command.status === COMMAND_STATUS.PENDING)
+      .sort((a, b) => new Date(a.created) - new Date(b.created));
+
+    queueRef.current = queueRef.current.then(async () => {
+      for (const command of pending) {
+        await executeCommand(command);
+      }
+    });
+  }, [deviceId]);
+
+  useEffect(() => {
+    if (!deviceId || !commands || commands.length === 0) {
+      return;
+    }
+
+    runCommands(commands);
+  }, [deviceId, commands, runCommands]);
+
+  // Set up a fallback polling mechanism in case real-time updates fail
+  useEffect(() => {
+    if (!deviceId) {
+      return;
+    }
+
+    const poll = async () => {
+      try {
+        runCommands(await fetchPendingCommands(deviceId));
+      } catch (error) {
+        console.error('Error polling device commands:', error);
+      }
+    };
+
+    const interval = setInterval(poll, 30000); // 30 seconds
+
+    return () => clearInterval(interval);
+  }, [deviceId, runCommands]);
+
+  return null;
+};
+
+export default CommandMonitor;
@@ -5,9 +5,10 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { pbclient } from '@/lib/pocketbase/pb';
+import { bindDevice, collectFingerprint, isBoundElsewhere } from '@/lib/device/identity';
 import { Loader2 } from "lucide-react";
 
-const DeviceRegistration = ({ onDeviceRegistered }) => {
+const DeviceRegistration = ({ onDeviceRegistered, conflictDevice }) => {
   const [loading, setLoading] = useState(true);
   const [devices, setDevices] = useState([]);
   const [selectedDevice, setSelectedDevice] = useState(null);
@@ -19,13 +20,17 @@ const DeviceRegistration = ({ onDeviceRegistered }) => {
     status: 'Available'
   });
   const [showNewDeviceForm, setShowNewDeviceForm] = useState(false);
-  const [error, setError] = useState('');
+  const [fingerprint, setFingerprint] = useState(null);
+  const [error, setError] = useState(
+    conflictDevice ? `${conflictDevice.name} is bound to another machine. Select or create a device for this PC.` : ''
+  );
 
   // Fetch all available devices on component mount
   useEffect(() => {
     const fetchDevices = async () => {
       try {
         setLoading(true);
+        setFingerprint(await collectFingerprint());
         const result = await pbclient.collection('devices').getList(1, 100, {
           sort: 'name'
         });
@@ -48,39 +53,18 @@ const DeviceRegistration = ({ onDeviceRegistered }) => {
   // Function to get device information from the system
   const getDeviceInfo = async () => {
     try {
-      // Try to get hostname
-      let hostname = window.location.hostname;
-      if (hostname === 'localhost' || hostname === '127.0.0.1') {
-        // If running locally, try to get a more meaningful name
-        try {
-          if (window.Neutralino) {
-            const osInfo = await window.Neutralino.os.getEnv();
-            hostname = osInfo.COMPUTERNAME || osInfo.HOSTNAME || 'Client-PC';
-          } else {
-            hostname = 'Client-PC';
-          }
-        } catch (e) {
-          console.error("Error getting hostname:", e);
-          hostname = 'Client-PC';
-        }
-      }
+      const machine = fingerprint || await collectFingerprint();
+      setFingerprint(machine);
 
       // Set device name with a timestamp to ensure uniqueness
       const timestamp = new Date().toISOString().replace(/[-:.TZ]/g, '').substring(0, 12);
-      const deviceName = `${hostname}-${timestamp}`;
-
-      // Get IP address (this is just the client IP, not the actual machine IP in most cases)
-      const ipAddress = window.location.hostname;
-
-      // For MAC address, we can't reliably get it from the browser
-      // We'll use a placeholder and let the user edit it
-      const macAddress = "00:00:00:00:00:00";
+      const deviceName = `${machine.hostname}-${timestamp}`;
 
       setNewDevice({
         ...newDevice,
         name: deviceName,
-        ip_address: ipAddress,
-        mac_address: macAddress
+        ip_address: machine.ip_address,
+        mac_address: machine.mac_address
       });
     } catch (error) {
       console.error("Error getting device info:", error);
@@ -98,17 +82,14 @@ const DeviceRegistration = ({ onDeviceRegistered }) => {
   const handleSelectDevice = async (deviceId) => {
     try {
       setLoading(true);
+      setError('');
       const device = devices.find(d => d.id === deviceId);
       setSelectedDevice(device);
 
-      // Store device info in localStorage
-      localStorage.setItem('device_info', JSON.stringify({
-        deviceId: device.id,
-        deviceName: device.name,
-        deviceType: device.type
-      }));
+      // Bind this machine to the device (saved in the machine config and localStorage)
+      await bindDevice(device, fingerprint);
 
-      console.log("Device selected and stored in localStorage:", device.name);
+      console.log("Device selected and bound to this machine:", device.name);
 
       // Notify parent component
       if (onDeviceRegistered) {
@@ -116,7 +97,7 @@ const DeviceRegistration = ({ onDeviceRegistered }) => {
       }
     } catch (err) {
       console.error("Error selecting device:", err);
-      setError("Failed to select device");
+      setError(err.name === 'DeviceBindingError' ? err.message : "Failed to select device");
     } finally {
       setLoading(false);
     }
@@ -158,12 +139,8 @@ const DeviceRegistration = ({ onDeviceRegistered }) => {
 
       console.log("Created new device:", createdDevice);
 
-      // Store device info in localStorage
-      localStorage.setItem('device_info', JSON.stringify({
-        deviceId: createdDevice.id,
-        deviceName: createdDevice.name,
-        deviceType: createdDevice.type
-      }));
+      // Bind this machine to the new device
+      await bindDevice(createdDevice, fingerprint);
 
       // Notify parent component
       if (onDeviceRegistered) {
@@ -272,8 +249,13 @@ const DeviceRegistration = ({ onDeviceRegistered }) => {
                   </SelectTrigger>
                   <SelectContent>
                     {devices.map(device => (
-                      <SelectItem key={device.id} value={device.id}>
+                      <SelectItem
+                        key={device.id}
+                        value={device.id}
+                        disabled={Boolean(fingerprint) && isBoundElsewhere(device, fingerprint)}
+                      >
                         {device.name} ({device.type})
+                        {fingerprint && isBoundElsewhere(device, fingerprint) && ` - in use by ${device.hostname || 'another machine'}`}
                       </SelectItem>
                     ))}
                   </SelectContent>
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { happyHoursToday } from '@/lib/session/pricing';
+import { serverNow } from '@/lib/session/serverTime';
+import { fetchUpcomingBooking, isSlideShowing, loadLockScreenInfo } from '@/lib/device/lockScreen';
+
+const REFRESH_MS = 5 * 60 * 1000; // Reload rates and slides from the server
+const BOOKING_CHECK_MS = 60 * 1000;
+const SLIDE_SECONDS = 8; // Default time a promo slide stays up
+
+function describeDiscount(rule) {
+  return rule.type === 'percentage' ? `${rule.value}% off` : `₹${rule.value.toFixed(2)}/hr`;
+}
+
+function formatClock(date) {
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Attract screen shown while the PC is locked
+ * Shows the group's rate and today's happy hours, rotates the promo slides, and warns when the
+ * PC is reserved. The login form is passed in as children.
+ */
+const LockScreen = ({ deviceId, currentTime, currentDate, whichOs, children }) => {
+  const [info, setInfo] = useState(null);
+  const [booking, setBooking] = useState(null);
+  const [slideIndex, setSlideIndex] = useState(0);
+
+  // Load the rate, happy hours and slides, and refresh them now and then
+  useEffect(() => {
+    if (!deviceId) {
+      return;
+    }
+
+    const refresh = () => loadLockScreenInfo(deviceId).then(setInfo);
+    refresh();
+    const interval = setInterval(refresh, REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [deviceId]);
+
+  // Look for an upcoming booking on this PC
+  useEffect(() => {
+    if (!deviceId) {
+      return;
+    }
+
+    const check = () => fetchUpcomingBooking(deviceId)
+      .then(setBooking)
+      .catch(error => console.error('Error checking upcoming booking:', error));
+    check();
+    const interval = setInterval(check, BOOKING_CHECK_MS);
+    return () => clearInterval(interval);
+  }, [deviceId]);
+
+  const now = serverNow();
+  const slides = info ? info.slides.filter(slide => isSlideShowing(slide, now)) : [];
+  const slide = slides.length > 0 ? slides[slideIndex % slides.length] : null;
+  const happyHours = info ? happyHoursToday(info.happyHours, now) : [];
+  const bookedFrom = booking && booking.in_time ? new Date(booking.in_time) : null;
+
+  // Rotate the promo slides
+  useEffect(() => {
+    if (slides.length < 2) {
+      return;
+    }
+
+    const seconds = (slide && slide.duration_seconds) || SLIDE_SECONDS;
+    const timeout = setTimeout(() => setSlideIndex(index => index + 1), seconds * 1000);
+    return () => clearTimeout(timeout);
+  }, [slideIndex, slides.length, slide]);
+
+  return (
+    <div className="fixed top-0 left-0 w-full h-full flex flex-col bg-black text-white">
+      <div className="w-full p-4 flex justify-between items-center">
+        <div className="text-xl font-bold">{currentTime}</div>
+        <div className="text-sm">{currentDate}</div>
+        <div className="text-sm">{whichOs}</div>
+      </div>
+
+      {bookedFrom && (
+        <div className="w-full bg-orange-600 text-center text-lg font-semibold p-2">
+          Reserved from {formatClock(bookedFrom)}
+        </div>
+      )}
+
+      <div className="flex-1 grid grid-cols-1 md:grid-cols-3 gap-6 p-6 overflow-hidden">
+        <div className="space-y-6">
+          {info && info.hourlyRate > 0 && (
+            <div className="rounded-lg bg-white/10 p-6">
+              {info.groupName && <div className="text-sm uppercase text-gray-400">{info.groupName}</div>}
+              <div className="text-4xl font-bold">₹{info.hourlyRate.toFixed(2)}<span className="text-lg font-normal">/hr</span></div>
+            </div>
+          )}
+
+          {happyHours.length > 0 && (
+            <div className="rounded-lg bg-white/10 p-6 space-y-2">
+              <div className="text-lg font-semibold">Happy hours today</div>
+              {happyHours.map(({ happyHour, rule, active }) => (
+                <div key={happyHour.id} className={active ? 'text-green-400 font-semibold' : 'text-gray-300'}>
+                  {happyHour.start_time} - {happyHour.end_time}: {describeDiscount(rule)}
+                  {active && ' (now)'}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center justify-center">
+          <div className="bg-background text-foreground rounded-lg p-6 w-full max-w-sm">
+            {children}
+          </div>
+        </div>
+
+        <div className="flex items-center justify-center">
+          {slide && (
+            <div key={slide.id} className="w-full rounded-lg bg-white/10 overflow-hidden">
+              {slide.image && <img src={slide.image} alt={slide.title || ''} className="w-full object-cover max-h-96" />}
+              {(slide.title || slide.body) && (
+                <div className="p-4">
+                  {slide.title && <div className="text-2xl font-bold">{slide.title}</div>}
+                  {slide.body && <div className="text-gray-300 whitespace-pre-wrap">{slide.body}</div>}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LockScreen;
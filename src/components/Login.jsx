@@ -3,10 +3,12 @@ import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle }
 import { Button } from './ui/button';
 import { Input } from './ui/input';
 import { Label } from './ui/label';
+import PairingQr from './PairingQr';
 import { useCollection } from '@/hooks/useCollection';
 import { pbclient } from '@/lib/pocketbase/pb';
+import { DeviceClaimError, claimDevice } from '@/lib/device/claim';
 
-function Login({ onLogin, isKioskMode }) {
+function Login({ onLogin, isKioskMode, deviceId }) {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
@@ -18,9 +20,6 @@ function Login({ onLogin, isKioskMode }) {
     authWithPassword
   } = useCollection('clients');
 
-  // Use the devices collection
-  const { update: updateDevice } = useCollection('devices');
-
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -48,40 +47,23 @@ function Login({ onLogin, isKioskMode }) {
 
         console.log("Authenticated user:", user);
 
-        // Get the auth token
-        const token = pbclient.authStore.token;
-
         try {
-          // Find an available device to update
-          const devices = await pbclient.collection('devices').getList(1, 1, {
-            filter: 'status = "Available"'
-          });
-
-          if (devices && devices.items && devices.items.length > 0) {
-            const device = devices.items[0];
-            console.log("Found device to update:", device);
-
-            // Update the device with token and client_record
-            await updateDevice(device.id, {
-              token: token,
-              client_record: user.id,
-              status: "In-Use"
-            });
-
-            console.log("Updated device with token and client_record");
-
-            // Store device ID in user object for session creation
-            user.deviceId = device.id;
-
-            // Set flag in localStorage to indicate this is a client app login
-            localStorage.setItem('client_app_login', 'true');
-            console.log("Set client_app_login flag in localStorage");
-          } else {
-            console.error("No available devices found to update");
-          }
+          // Take this PC's own seat; refuse the login if someone else holds it
+          const device = await claimDevice({ clientId: user.id });
+
+          // Store device ID in user object for session creation
+          user.deviceId = device.id;
+
+          // Set flag in localStorage to indicate this is a client app login
+          localStorage.setItem('client_app_login', 'true');
         } catch (deviceError) {
-          console.error("Error updating device:", deviceError);
-          // Continue with login even if device update fails
+          // Without the seat there is no login, whatever went wrong
+          console.error('Error claiming device:', deviceError);
+          pbclient.authStore.clear();
+          setError(deviceError instanceof DeviceClaimError
+            ? deviceError.message
+            : 'Could not reserve this PC for you. Please try again, or ask staff for help.');
+          return;
         }
 
         // Call the onLogin callback with the user data
@@ -151,6 +133,8 @@ function Login({ onLogin, isKioskMode }) {
           </Button>
         </CardFooter>
       </Card>
+
+      <PairingQr deviceId={deviceId} />
     </div>
   );
 }
@@ -0,0 +1,96 @@
+import { useEffect, useCallback, useRef } from 'react';
+import { useRealtimePb } from '@/hooks/useRealtimePb';
+import { pbclient } from '@/lib/pocketbase/pb';
+import { isNetworkError } from '@/lib/session/offlineQueue';
+import { claimDevice } from '@/lib/device/claim';
+import { fetchPendingTicket, isRedeemable, pendingTicketsFilter, redeemTicket } from '@/lib/device/loginTickets';
+
+/**
+ * Component to log a customer in from a login ticket issued at the counter
+ * Tickets arrive through real-time updates with a polling fallback; each one is tried once
+ * This component doesn't render anything
+ */
+const LoginTicketMonitor = ({ deviceId, onAutoLogin }) => {
+  const triedRef = useRef(new Set());
+  const busyRef = useRef(false);
+  const onAutoLoginRef = useRef(onAutoLogin);
+  onAutoLoginRef.current = onAutoLogin;
+
+  // Use real-time hook to monitor tickets for this device
+  const { data: tickets } = useRealtimePb(
+    'login_tickets',
+    deviceId ? pendingTicketsFilter(deviceId) : ''
+  );
+
+  const redeem = useCallback(async (ticket) => {
+    if (!ticket || busyRef.current || triedRef.current.has(ticket.id) || !isRedeemable(ticket, deviceId)) {
+      return;
+    }
+
+    busyRef.current = true;
+    try {
+      const client = await redeemTicket(ticket, deviceId);
+      triedRef.current.add(ticket.id);
+
+      await claimDevice({ clientId: client.id });
+
+      let displayUsername = client.username;
+      if (!displayUsername && client.email) {
+        displayUsername = client.email.split('@')[0];
+      } else if (!displayUsername) {
+        displayUsername = 'User';
+      }
+
+      if (onAutoLoginRef.current) {
+        onAutoLoginRef.current({
+          userId: client.id,
+          username: displayUsername,
+          deviceId
+        });
+      }
+    } catch (error) {
+      // Tried again later only if the server could not be reached
+      if (!isNetworkError(error)) {
+        triedRef.current.add(ticket.id);
+      }
+      // A ticket that got as far as logging in must not leave the customer half logged in
+      pbclient.authStore.clear();
+      console.error('Error logging in from ticket:', error);
+    } finally {
+      busyRef.current = false;
+    }
+  }, [deviceId]);
+
+  useEffect(() => {
+    if (!deviceId || !tickets || tickets.length === 0) {
+      return;
+    }
+
+    // Newest first, as fetched by the hook
+    redeem(tickets.find(ticket => isRedeemable(ticket, deviceId)));
+  }, [deviceId, tickets, redeem]);
+
+  // Set up a fallback polling mechanism in case real-time updates fail
+  useEffect(() => {
+    if (!deviceId) {
+      return;
+    }
+
+    const poll = async () => {
+      try {
+        await redeem(await fetchPendingTicket(deviceId));
+      } catch (error) {
+        console.error('Error polling login tickets:', error);
+      }
+    };
+
+    poll();
+    const interval = setInterval(poll, 30000); // 30 seconds
+
+    return () => clearInterval(interval);
+  }, [deviceId, redeem]);
+
+  return null;
+};
+
+export default LoginTicketMonitor;
@@ -0,0 +1,102 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { PAIRING_STATUS, createPairing, expirePairing, pairingPayload, pairingTimeLeft, watchPairing } from '@/lib/device/pairing';
+
+// Replace the code a little before it expires, so a scan never lands on a dead one
+const REFRESH_MARGIN_MS = 15 * 1000;
+const RETRY_MS = 30 * 1000;
+
+/**
+ * QR code that logs the customer in from their phone or at the counter
+ * The login itself comes through the ticket issued on approval (see LoginTicketMonitor).
+ */
+const PairingQr = ({ deviceId }) => {
+  const [pairing, setPairing] = useState(null);
+  const [qrImage, setQrImage] = useState(null);
+  const [approved, setApproved] = useState(false);
+  const [error, setError] = useState('');
+  const [generation, setGeneration] = useState(0);
+  const [visible, setVisible] = useState(document.visibilityState === 'visible');
+
+  // No codes for a login screen nobody can see
+  useEffect(() => {
+    const handleVisibility = () => setVisible(document.visibilityState === 'visible');
+
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, []);
+
+  // Create a pairing, and a fresh one whenever the last runs out
+  useEffect(() => {
+    if (!deviceId || !visible) return;
+
+    let cancelled = false;
+    let current = null;
+    let stopWatching = null;
+    let timer = null;
+
+    const start = async () => {
+      try {
+        current = await createPairing(deviceId);
+        const image = await QRCode.toDataURL(pairingPayload(current), { margin: 1, width: 200 });
+        if (cancelled) {
+          expirePairing(current);
+          return;
+        }
+
+        setPairing(current);
+        setQrImage(image);
+        setApproved(false);
+        setError('');
+
+        stopWatching = watchPairing(current, (record) => {
+          if (record.status === PAIRING_STATUS.APPROVED) {
+            current = record;
+            setApproved(true);
+          }
+        });
+        timer = setTimeout(() => setGeneration(value => value + 1), Math.max(REFRESH_MARGIN_MS, pairingTimeLeft(current) - REFRESH_MARGIN_MS));
+      } catch (err) {
+        console.error('Error creating pairing code:', err);
+        if (!cancelled) {
+          setPairing(null);
+          setQrImage(null);
+          setError('Scan to log in is not available right now');
+          timer = setTimeout(() => setGeneration(value => value + 1), RETRY_MS);
+        }
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (stopWatching) stopWatching();
+      expirePairing(current);
+    };
+  }, [deviceId, visible, generation]);
+
+  if (!deviceId) return null;
+
+  return (
+    <div className="flex flex-col items-center gap-2 text-center">
+      <div className="text-sm text-muted-foreground">Or scan with your phone, or show this code at the counter</div>
+      {error && <div className="text-sm text-muted-foreground">{error}</div>}
+      {qrImage && (
+        <img
+          src={qrImage}
+          alt="Pairing QR code"
+          className={`w-40 h-40 rounded-md bg-white p-1 ${approved ? 'opacity-30' : ''}`}
+        />
+      )}
+      {pairing && (
+        <div className="font-mono text-lg tracking-widest">
+          {approved ? 'Approved, logging you in...' : pairing.code}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PairingQr;
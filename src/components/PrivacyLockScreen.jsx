@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { effectiveOutTime } from '@/lib/session/lifecycle';
+import { serverNow } from '@/lib/session/serverTime';
+import { unlockWithPassword, unlockWithPin } from '@/lib/session/privacyLock';
+
+function formatCountdown(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Full-screen lock a customer puts on their own session while away
+ * The countdown keeps running; the PIN or the account password lifts the lock.
+ */
+const PrivacyLockScreen = ({ session }) => {
+  const [usePassword, setUsePassword] = useState(false);
+  const [secret, setSecret] = useState('');
+  const [error, setError] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [now, setNow] = useState(serverNow());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(serverNow()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const submit = async () => {
+    setChecking(true);
+    setError('');
+    try {
+      const unlocked = usePassword ? await unlockWithPassword(secret) : await unlockWithPin(secret);
+      if (!unlocked) {
+        setError(usePassword ? 'Incorrect password' : 'Incorrect PIN');
+        setSecret('');
+      }
+    } catch (err) {
+      setError(err.message || 'Could not unlock');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const remaining = session && session.out_time ? formatCountdown(effectiveOutTime(session, now) - now) : null;
+
+  return (
+    <div className="fixed top-0 left-0 w-full h-full flex flex-col items-center justify-center bg-black text-white z-50">
+      <div className="text-4xl font-bold mb-2">Screen locked</div>
+      <div className="text-gray-400 mb-6">This PC is in use. The session keeps running.</div>
+      {remaining && <div className="text-2xl mb-8">Time remaining: {remaining}</div>}
+
+      <div className="bg-background text-foreground p-6 rounded-lg shadow-lg w-full max-w-xs space-y-4">
+        <Label htmlFor="privacy-secret">{usePassword ? 'Account password' : 'PIN'}</Label>
+        <Input
+          id="privacy-secret"
+          type="password"
+          inputMode={usePassword ? 'text' : 'numeric'}
+          autoFocus
+          value={secret}
+          onChange={(e) => setSecret(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && secret) submit();
+          }}
+        />
+        {error && <div className="text-sm text-destructive">{error}</div>}
+        <div className="flex justify-between">
+          <Button
+            variant="outline"
+            onClick={() => {
+              setUsePassword(!usePassword);
+              setSecret('');
+              setError('');
+            }}
+            disabled={checking}
+          >
+            {usePassword ? 'Use PIN' : 'Use password'}
+          </Button>
+          <Button onClick={submit} disabled={checking || !secret}>
+            {checking ? 'Checking...' : 'Unlock'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PrivacyLockScreen;
@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import { os } from '@neutralinojs/lib';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { AUTH_STATE, getAuthState, reauthenticate, subscribeAuthState } from '@/lib/pocketbase/pb';
+
+/**
+ * Asks for the password again when the login could not be refreshed
+ * The session and the PC stay as they are; only saving to the server waits for the password.
+ */
+const ReloginPrompt = () => {
+  const [authState, setAuthState] = useState(getAuthState());
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [checking, setChecking] = useState(false);
+
+  useEffect(() => subscribeAuthState(setAuthState), []);
+
+  useEffect(() => {
+    if (authState !== AUTH_STATE.RELOGIN_REQUIRED) return;
+
+    os.showNotification('Please log in again', 'Your session time keeps running. Enter your password so your changes can be saved.')
+      .catch(err => console.error('Error showing re-login notification:', err));
+  }, [authState]);
+
+  if (authState !== AUTH_STATE.RELOGIN_REQUIRED) return null;
+
+  const submit = async () => {
+    setChecking(true);
+    setError('');
+    try {
+      await reauthenticate(password);
+      setPassword('');
+    } catch (err) {
+      setError(err.status === 0 ? 'Cannot reach the server, try again shortly' : 'Incorrect password');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 w-full max-w-sm bg-background text-foreground border rounded-lg shadow-lg p-4 space-y-3 z-40">
+      <div className="font-semibold">Please log in again</div>
+      <div className="text-sm text-muted-foreground">
+        Your login has expired. Your session time keeps running, but changes cannot be saved until you enter your password.
+      </div>
+      <Input
+        type="password"
+        placeholder="Password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && password) submit();
+        }}
+      />
+      {error && <div className="text-sm text-destructive">{error}</div>}
+      <Button className="w-full" onClick={submit} disabled={checking || !password}>
+        {checking ? 'Checking...' : 'Log in'}
+      </Button>
+    </div>
+  );
+};
+
+export default ReloginPrompt;
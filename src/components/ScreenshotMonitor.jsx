@@ -1,38 +1,30 @@
 import { useState, useEffect, useCallback } from 'react';
 import { pbclient } from '@/lib/pocketbase/pb';
-import { useRealtimePb } from '@/hooks/useRealtimePb';
 import ScreenshotIndicator from './ScreenshotIndicator';
 import { computer, filesystem } from '@neutralinojs/lib';
+import { COMMAND_TYPE, registerCommandHandler } from '@/lib/device/commands';
 
 /**
- * Component to monitor device for screenshot requests and take screenshots
+ * Component that takes screenshots for staff `screenshot` commands
  * This component doesn't render anything in production, but shows a visual indicator in development
  */
 const ScreenshotMonitor = ({ deviceId }) => {
-  const [checkInterval, setCheckInterval] = useState(null);
   const [lastScreenshotTime, setLastScreenshotTime] = useState(0);
   const [isScreenshotting, setIsScreenshotting] = useState(false);
   const [screenshotStatus, setScreenshotStatus] = useState('');
   const SCREENSHOT_COOLDOWN = 5000; // 5 seconds cooldown between screenshots
 
-  // Use real-time hook to monitor device changes
-  const { data: deviceData } = useRealtimePb(
-    'devices',
-    deviceId ? `id = "${deviceId}"` : ''
-  );
-
   // Function to take a screenshot using Neutralino API
+  // Returns the uploaded screenshot record ID, throws if the screenshot could not be taken
   const takeScreenshot = useCallback(async () => {
     if (!deviceId) {
-      console.log("No device ID provided, cannot take screenshot");
-      return false;
+      throw new Error("No device ID provided, cannot take screenshot");
     }
 
     // Check if we're within the cooldown period
     const now = Date.now();
     if (now - lastScreenshotTime < SCREENSHOT_COOLDOWN) {
-      console.log("Screenshot cooldown period active, skipping screenshot");
-      return false;
+      throw new Error("Screenshot cooldown period active, skipping screenshot");
     }
 
     try {
@@ -210,14 +202,6 @@ const ScreenshotMonitor = ({ deviceId }) => {
       const screenshotRecord = await pbclient.collection('screenshots').create(formData);
       console.log("Screenshot uploaded successfully:", screenshotRecord);
 
-      // Update the device's take_screenshot field to false
-      setScreenshotStatus('Resetting screenshot request flag...');
-      await pbclient.collection('devices').update(deviceId, {
-        take_screenshot: false
-      });
-
-      console.log("Device take_screenshot field reset to false");
-
       // Update last screenshot time
       setLastScreenshotTime(Date.now());
 
@@ -234,94 +218,22 @@ const ScreenshotMonitor = ({ deviceId }) => {
       setScreenshotStatus('Screenshot completed successfully!');
       setTimeout(() => setIsScreenshotting(false), 2000);
 
-      return true;
+      return { screenshot: screenshotRecord.id };
     } catch (error) {
       console.error("Error taking or uploading screenshot:", error);
 
       // Show error in the indicator
       setScreenshotStatus(`Error: ${error.message || 'Unknown error'}`);
 
-      // Still try to reset the take_screenshot field to false to prevent endless retries
-      try {
-        await pbclient.collection('devices').update(deviceId, {
-          take_screenshot: false
-        });
-        console.log("Device take_screenshot field reset to false after error");
-      } catch (resetError) {
-        console.error("Error resetting take_screenshot field:", resetError);
-        setScreenshotStatus('Error: Failed to reset screenshot flag');
-      }
-
       // Hide the indicator after a delay
       setTimeout(() => setIsScreenshotting(false), 3000);
 
-      return false;
+      throw error;
     }
   }, [deviceId, lastScreenshotTime]);
 
-  // Function to check if a screenshot is requested
-  const checkScreenshotRequested = useCallback(async () => {
-    if (!deviceId) {
-      return;
-    }
-
-    try {
-      // Get the device details
-      const device = await pbclient.collection('devices').getOne(deviceId);
-
-      // Check if screenshot is requested
-      if (device && device.take_screenshot === true) {
-        console.log("Screenshot requested for device:", deviceId);
-        await takeScreenshot();
-      }
-    } catch (error) {
-      console.error("Error checking for screenshot request:", error);
-    }
-  }, [deviceId, takeScreenshot]);
-
-  // Monitor device data for screenshot requests
-  useEffect(() => {
-    if (!deviceId || !deviceData || deviceData.length === 0) {
-      return;
-    }
-
-    console.log("Device data updated, checking for screenshot request:", deviceData);
-
-    // Get the device from the data array
-    const device = deviceData[0];
-
-    // Check if screenshot is requested
-    if (device && device.take_screenshot === true) {
-      console.log("Screenshot requested via real-time update for device:", deviceId);
-      takeScreenshot();
-    }
-  }, [deviceId, deviceData, takeScreenshot]);
-
-  // Set up a fallback polling mechanism in case real-time updates fail
-  useEffect(() => {
-    if (!deviceId) {
-      return;
-    }
-
-    console.log("Setting up fallback screenshot polling for device:", deviceId);
-
-    // Initial check for screenshot request
-    checkScreenshotRequested();
-
-    // Set up interval to check for screenshot requests every 30 seconds
-    const interval = setInterval(() => {
-      checkScreenshotRequested();
-    }, 30000); // 30 seconds
-
-    setCheckInterval(interval);
-
-    return () => {
-      if (interval) {
-        clearInterval(interval);
-        console.log("Cleared screenshot check interval");
-      }
-    };
-  }, [deviceId, checkScreenshotRequested]);
+  // Take screenshots when staff send a screenshot command
+  useEffect(() => registerCommandHandler(COMMAND_TYPE.SCREENSHOT, () => takeScreenshot()), [takeScreenshot]);
 
   // This component renders the screenshot indicator in development mode
   return (
@@ -0,0 +1,41 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from './ui/button';
+import { serverNow } from '@/lib/session/serverTime';
+
+/**
+ * Full-screen countdown for the last minute of a session, and for the grace period after it
+ * Offers the selected package as a one-click extension.
+ */
+const SessionEndCountdown = ({ endsAt, grace, extendLabel, onExtend, extending }) => {
+  const [now, setNow] = useState(serverNow());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(serverNow()), 250);
+    return () => clearInterval(interval);
+  }, []);
+
+  const totalSeconds = Math.max(0, Math.ceil((endsAt - now) / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+
+  return (
+    <div className="fixed top-0 left-0 w-full h-full flex flex-col items-center justify-center bg-red-700 text-white z-50">
+      <div className="text-3xl font-bold mb-4">
+        {grace ? 'Your session has ended' : 'Your session is about to end'}
+      </div>
+      <div className="text-8xl font-bold tabular-nums mb-4">
+        {minutes > 0 ? `${minutes}:${seconds.toString().padStart(2, '0')}` : seconds}
+      </div>
+      <div className="text-lg mb-8">
+        {grace ? 'This PC will lock when the grace period runs out.' : 'Save your work now.'}
+      </div>
+      {onExtend && (
+        <Button size="lg" variant="secondary" onClick={onExtend} disabled={extending}>
+          {extending ? 'Extending...' : `Extend now${extendLabel ? ` (${extendLabel})` : ''}`}
+        </Button>
+      )}
+    </div>
+  );
+};
+
+export default SessionEndCountdown;
@@ -1,16 +1,32 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from './ui/card';
 import { Button } from './ui/button';
 import { Label } from './ui/label';
-import { useCollection } from '@/hooks/useCollection';
+import SessionMiniTimer from './SessionMiniTimer';
+import PrivacyLockScreen from './PrivacyLockScreen';
+import SessionEndCountdown from './SessionEndCountdown';
+import { Input } from './ui/input';
 import { useRealtimePb } from '@/hooks/useRealtimePb';
 import { pbclient } from '@/lib/pocketbase/pb';
+import { quoteSession, sessionWindow } from '@/lib/session/pricing';
+import { fetchPricingContext } from '@/lib/session/pricingContext';
+import { DEFAULT_PACKAGE, packageOutTime, quotePackages } from '@/lib/session/packages';
+import { getSavedDeviceId } from '@/utils/helper_functions';
+import { rememberSession, getLastKnownSession, isNetworkError } from '@/lib/session/offlineQueue';
+import { SESSION_STATUS, isOpenStatus, effectiveOutTime, openSessionFilter, openSession, activateSession } from '@/lib/session/lifecycle';
+import { serverNow } from '@/lib/session/serverTime';
+import { DeviceClaimError, isSeatTaken } from '@/lib/device/claim';
+import { extendSessionTo } from '@/lib/session/extension';
+import { WINDOW_MODE, getKioskState, setWindowMode } from '@/lib/device/kioskController';
+import { FINAL_COUNTDOWN_SECONDS, WARNING_STYLE, dueWarning, graceMinutes, playWarningSound, warningSchedule } from '@/lib/session/warnings';
+import { MIN_PIN_LENGTH, clearPrivacyLock, getPrivacyLock, startPrivacyLock, subscribePrivacyLock } from '@/lib/session/privacyLock';
 
 /**
  * Component for managing and displaying session information
  */
-function SessionManager({ userId, activeSession, sessionData: sessionDataProp }) {
+function SessionManager({ userId, activeSession, sessionData: sessionDataProp, compact = false, onExpire }) {
   const [sessionId, setSessionId] = useState(null);
+  const [currentSession, setCurrentSession] = useState(null);
   const [inTime, setInTime] = useState(null);
   const [outTime, setOutTime] = useState(null);
   const [remainingTime, setRemainingTime] = useState({ hours: 0, minutes: 0, seconds: 0 });
@@ -20,9 +36,19 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
   const [deviceInfo, setDeviceInfo] = useState(null);
   const [groupInfo, setGroupInfo] = useState(null);
   const [sessionCost, setSessionCost] = useState(0);
-
-  // Use the sessions collection
-  const { create, getList, update } = useCollection('sessions');
+  const [packageOptions, setPackageOptions] = useState([]);
+  const [selectedPackageId, setSelectedPackageId] = useState(null);
+  const [awaitingPackage, setAwaitingPackage] = useState(false);
+  const [warningFlash, setWarningFlash] = useState(false);
+  const [privacyLock, setPrivacyLock] = useState(getPrivacyLock());
+  const [settingPin, setSettingPin] = useState(false);
+  const [lockPin, setLockPin] = useState('');
+  const [pinError, setPinError] = useState('');
+  const [graceEndsAt, setGraceEndsAt] = useState(null);
+  const firedWarningsRef = useRef(new Set());
+  const groupInfoRef = useRef(null);
+  // Session that has already been handed to onExpire
+  const expiredSessionRef = useRef(null);
 
   // Subscribe to real-time updates for the current session
   const { data: sessionData } = useRealtimePb(
@@ -31,215 +57,107 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
   );
 
   // Function to fetch device group and calculate session cost
-  const fetchDeviceGroupAndCalculateCost = useCallback(async (deviceId, durationHours = 1) => {
+  const fetchDeviceGroupAndCalculateCost = useCallback(async (deviceId, inTime, outTime) => {
     if (!deviceId) {
       console.log("No device ID provided, cannot fetch group info");
-      return 0;
+      return quoteSession();
     }
 
     try {
-      // First, get the device details
-      const device = await pbclient.collection('devices').getOne(deviceId);
+      const { device, group, happyHours } = await fetchPricingContext(deviceId);
       setDeviceInfo(device);
+      setGroupInfo(group);
 
-      if (device && device.group) {
-        // Get the group information
-        const group = await pbclient.collection('groups').getOne(device.group);
-        setGroupInfo(group);
-
-        if (group && group.price) {
-          // Calculate the session cost based on the group's price per hour
-          const hourlyRate = parseFloat(group.price);
-
-          // Ensure duration is a valid number
-          let validDuration = durationHours;
-          if (isNaN(validDuration) || validDuration <= 0) {
-            console.warn("Invalid duration provided, defaulting to 1 hour");
-            validDuration = 1;
-          }
-
-          // Calculate base cost: hourly rate * duration in hours
-          const baseCost = hourlyRate * validDuration;
-          console.log(`BASE COST CALCULATION: ₹${hourlyRate} per hour × ${validDuration.toFixed(2)} hours = ₹${baseCost.toFixed(2)}`);
-
-          // Check for happy hour discounts
-          let finalCost = baseCost;
-          let discountRate = 0;
-          let discountAmount = 0;
-          let happyHourApplied = false;
-
-          try {
-            // Get current date and time
-            const now = new Date();
-            const currentDay = now.toLocaleDateString('en-US', { weekday: 'long' });
-            const currentTime = now.toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' });
-
-            console.log(`Checking for happy hours: Day=${currentDay}, Time=${currentTime}`);
-
-            // Query happy hours for this group that are active and match current day
-            const happyHours = await pbclient.collection('happy_hours').getList(1, 50, {
-              filter: `group = "${group.id}" && status = "Active" && days = "${currentDay}"`
-            });
-
-            if (happyHours && happyHours.items.length > 0) {
-              console.log(`Found ${happyHours.items.length} potential happy hour(s) for ${currentDay}`);
-
-              // Check each happy hour to see if current time falls within its range
-              for (const happyHour of happyHours.items) {
-                const startTime = happyHour.start_time;
-                const endTime = happyHour.end_time;
-
-                // Check if current time is within happy hour range
-                if (currentTime >= startTime && currentTime <= endTime) {
-                  console.log(`Happy hour active: ${startTime} - ${endTime}`);
-
-                  // Apply discount based on type (percentage or fixed rate)
-                  if (happyHour.discount_percentage && happyHour.discount_percentage > 0) {
-                    // Apply percentage discount
-                    discountRate = parseFloat(happyHour.discount_percentage);
-                    discountAmount = baseCost * (discountRate / 100);
-                    finalCost = baseCost - discountAmount;
-
-                    console.log(`Applied ${discountRate}% discount: -₹${discountAmount.toFixed(2)}`);
-                    happyHourApplied = true;
-                  } else if (happyHour.fixed_rate && happyHour.fixed_rate > 0) {
-                    // Apply fixed rate (override hourly rate)
-                    const fixedRate = parseFloat(happyHour.fixed_rate);
-                    finalCost = fixedRate * validDuration;
-                    discountAmount = baseCost - finalCost;
-
-                    // Calculate effective discount rate
-                    if (baseCost > 0) {
-                      discountRate = (discountAmount / baseCost) * 100;
-                    }
-
-                    console.log(`Applied fixed rate: ₹${fixedRate}/hour instead of ₹${hourlyRate}/hour`);
-                    console.log(`Discount: -₹${discountAmount.toFixed(2)} (${discountRate.toFixed(2)}%)`);
-                    happyHourApplied = true;
-                  }
-
-                  // Only apply the first matching happy hour
-                  break;
-                }
-              }
-            } else {
-              console.log(`No happy hours found for group ${group.id} on ${currentDay}`);
-            }
-          } catch (happyHourError) {
-            console.error("Error checking for happy hours:", happyHourError);
-          }
-
-          // Set the final session cost
-          setSessionCost(finalCost);
+      if (!group || !group.price) {
+        console.log(group ? "Group has no price information" : "Device has no group assigned");
+        setSessionCost(0);
+        return quoteSession();
+      }
 
-          if (happyHourApplied) {
-            console.log(`FINAL COST (with happy hour): ₹${finalCost.toFixed(2)} (Discount: ₹${discountAmount.toFixed(2)})`);
-          } else {
-            console.log(`FINAL COST (no happy hour): ₹${finalCost.toFixed(2)}`);
-          }
+      const quote = quoteSession({ group, happyHours, inTime, outTime });
 
-          // Return an object with all cost details
-          return {
-            baseCost,
-            finalCost,
-            discountRate,
-            discountAmount,
-            happyHourApplied
-          };
-        } else {
-          console.log("Group has no price information");
-          setSessionCost(0);
-        }
+      if (quote.happyHourApplied) {
+        console.log(`FINAL COST (with happy hour): ₹${quote.finalCost.toFixed(2)} (Discount: ₹${quote.discountAmount.toFixed(2)})`);
       } else {
-        console.log("Device has no group assigned");
-        setSessionCost(0);
+        console.log(`FINAL COST (no happy hour): ₹${quote.finalCost.toFixed(2)}`);
       }
+
+      // Set the final session cost
+      setSessionCost(quote.finalCost);
+      return quote;
     } catch (error) {
       console.error("Error fetching device group or calculating cost:", error);
       setSessionCost(0);
+      return quoteSession();
     }
+  }, []);
 
-    return {
-      baseCost: 0,
-      finalCost: 0,
-      discountRate: 0,
-      discountAmount: 0,
-      happyHourApplied: false
-    };
+  // Function to price the packages the customer can start or extend with
+  const loadPackageOptions = useCallback(async (deviceId, sessionStart, packageStart) => {
+    if (!deviceId) {
+      setPackageOptions([]);
+      return [];
+    }
+
+    try {
+      const { group, happyHours, packages } = await fetchPricingContext(deviceId);
+      const options = quotePackages({ group, happyHours, packages, inTime: sessionStart, from: packageStart });
+
+      setPackageOptions(options);
+      setSelectedPackageId(current =>
+        options.some(option => option.package.id === current) ? current : (options[0] ? options[0].package.id : null)
+      );
+      return options;
+    } catch (error) {
+      console.error('Error loading session packages:', error);
+      setPackageOptions([]);
+      return [];
+    }
   }, []);
 
   // Function to create a new session
-  const createSession = useCallback(async () => {
+  const createSession = useCallback(async (sessionPackage = DEFAULT_PACKAGE) => {
     setLoading(true);
     try {
-      // Default session duration is 1 hour
-      const now = new Date();
-      const oneHourLater = new Date(now.getTime() + 60 * 60 * 1000);
+      const now = serverNow();
+      const packageEnd = packageOutTime(sessionPackage, now);
+
+      if (!packageEnd) {
+        throw new Error(`Package ${sessionPackage.name} cannot be started now`);
+      }
+
+      const durationMinutes = Math.round((packageEnd - now) / (1000 * 60));
 
       console.log("Creating session with times:", {
         in_time: now.toISOString(),
-        out_time: oneHourLater.toISOString()
+        out_time: packageEnd.toISOString(),
+        package: sessionPackage.name
       });
 
-      // Get device ID from localStorage if available
-      let deviceId = null;
-      try {
-        // First check user_login_info for device ID
-        const savedInfo = localStorage.getItem('user_login_info');
-        if (savedInfo) {
-          const parsedInfo = JSON.parse(savedInfo);
-          if (parsedInfo.deviceId) {
-            deviceId = parsedInfo.deviceId;
-            console.log("Using device ID from user_login_info:", deviceId);
-          }
-        }
-
-        // If not found in user_login_info, check device_info
-        if (!deviceId) {
-          const savedDeviceInfo = localStorage.getItem('device_info');
-          if (savedDeviceInfo) {
-            const parsedDeviceInfo = JSON.parse(savedDeviceInfo);
-            if (parsedDeviceInfo.deviceId) {
-              deviceId = parsedDeviceInfo.deviceId;
-              console.log("Using device ID from device_info:", parsedDeviceInfo.deviceId);
-            }
-          }
-        }
-
-        // If we have a device ID, get device information
-        if (deviceId) {
-          try {
-            const device = await pbclient.collection('devices').getOne(deviceId);
-            setDeviceInfo(device);
-            console.log("Found device information:", device);
-          } catch (deviceFetchError) {
-            console.error("Error fetching device info:", deviceFetchError);
-          }
-        }
+      // Sessions only ever start on this PC's own seat
+      const deviceId = getSavedDeviceId();
+      if (!deviceId) {
+        throw new DeviceClaimError('This PC is not registered to a seat yet. Please ask staff to set it up.');
+      }
 
-        // If no device ID in localStorage, try to get a default one
-        if (!deviceId) {
-          console.log("No device ID in localStorage, looking for available device");
-          const devices = await pbclient.collection('devices').getList(1, 1, {
-            filter: 'status = "Available"'
-          });
+      try {
+        const device = await pbclient.collection('devices').getOne(deviceId);
+        setDeviceInfo(device);
+        console.log("Found device information:", device);
 
-          if (devices && devices.items && devices.items.length > 0) {
-            deviceId = devices.items[0].id;
-            setDeviceInfo(devices.items[0]);
-            console.log("Using default device:", devices.items[0]);
-          }
+        if (isSeatTaken(device, userId)) {
+          throw new DeviceClaimError(`${device.name} is already in use by another customer.`, device);
         }
       } catch (deviceError) {
-        console.error("Error getting device ID:", deviceError);
-        // Continue without device ID
+        if (deviceError instanceof DeviceClaimError) throw deviceError;
+        console.error("Error fetching device info:", deviceError);
       }
 
       // Format dates according to PocketBase date field format (ISO string)
       const sessionData = {
         in_time: now.toISOString(),
-        out_time: oneHourLater.toISOString(),
-        duration: 60, // 60 minutes
+        out_time: packageEnd.toISOString(),
+        duration: durationMinutes, // Duration in minutes
         session_total: 0, // Will be calculated later
         snacks_total: 0,
         total_amount: 0,
@@ -248,26 +166,24 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
         discount_rate: 0,
         Cash: 0,
         UPI: 0,
-        status: 'Active',
+        status: SESSION_STATUS.ACTIVE,
         payment_mode: 'Cash',
         payment_type: 'Pre-paid'
       };
 
-      // Only add device if we have a valid device ID
-      if (deviceId) {
-        sessionData.device = deviceId;
+      sessionData.device = deviceId;
 
-        // Calculate session cost based on device group
-        const costDetails = await fetchDeviceGroupAndCalculateCost(deviceId, 1); // 1 hour session
+      // Calculate session cost based on device group
+      const costDetails = await fetchDeviceGroupAndCalculateCost(deviceId, now, packageEnd);
 
-        // Update session data with calculated cost and discount information
-        sessionData.session_total = costDetails.finalCost || 0;
-        sessionData.total_amount = costDetails.finalCost || 0;
-        sessionData.discount_amount = costDetails.discountAmount || 0;
-        sessionData.discount_rate = costDetails.discountRate || 0;
-      }
+      // Update session data with calculated cost and discount information
+      sessionData.session_total = costDetails.finalCost || 0;
+      sessionData.total_amount = costDetails.finalCost || 0;
+      sessionData.discount_amount = costDetails.discountAmount || 0;
+      sessionData.discount_rate = costDetails.discountRate || 0;
 
-      const newSession = await create(sessionData);
+      // Creates the session and its Create log (queued locally if the server is unreachable)
+      const newSession = await openSession(sessionData, { client: userId });
 
       if (!newSession) {
         throw new Error("Failed to create session - no session data returned");
@@ -276,6 +192,7 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
       console.log("Session created successfully:", newSession);
 
       setSessionId(newSession.id);
+      setCurrentSession(newSession);
 
       // Ensure dates are properly parsed
       if (newSession.in_time) {
@@ -291,19 +208,7 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
       }
 
       setIsSessionActive(true);
-
-      // Create a session log entry
-      try {
-        await pbclient.collection('session_logs').create({
-          session_id: newSession.id,
-          type: 'Create',
-          session_amount: 0,
-          client: userId
-        });
-      } catch (logError) {
-        console.error("Error creating session log:", logError);
-        // Continue even if log creation fails
-      }
+      setAwaitingPackage(false);
 
       return newSession;
     } catch (err) {
@@ -313,10 +218,7 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
     } finally {
       setLoading(false);
     }
-  }, [create, fetchDeviceGroupAndCalculateCost]);
-
-  // State to track if notification has been shown
-  const [notificationShown, setNotificationShown] = useState(false);
+  }, [userId, fetchDeviceGroupAndCalculateCost]);
 
   // Function to show notification - defined before it's used in checkExistingSession
   const showNotification = useCallback((message, isSystemNotification = false) => {
@@ -398,6 +300,17 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
     }
   }, []);
 
+  // Time and grace period are up: log out, which closes the session and locks the PC
+  const expireSession = useCallback((expiredId) => {
+    if (!expiredId || expiredSessionRef.current === expiredId) return;
+    expiredSessionRef.current = expiredId;
+
+    console.log(`Session ${expiredId} has ended, logging out`);
+    setIsSessionActive(false);
+    showNotification('Your session has ended.', true);
+    if (onExpire) onExpire();
+  }, [showNotification, onExpire]);
+
   console.log("Device Id", deviceInfo?.id)
 
   // Function to check for existing session
@@ -442,14 +355,32 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
       console.log("Checking sessions for device ID:", deviceId);
 
       // Check for any active or booked session for this device
-      const allSessions = await getList(1, 1, '-created', `device = "${deviceId}" && (status = "Booked" || status = "Active" || status = "Occupied" || status = "Extended")`);
-      console.log("Session query filter:", `device = "${deviceId}" && (status = "Booked" || status = "Active" || status = "Occupied" || status = "Extended")`);
+      let allSessions = [];
+      try {
+        const result = await pbclient.collection('sessions').getList(1, 1, {
+          filter: openSessionFilter(deviceId),
+          sort: '-created'
+        });
+        allSessions = result.items;
+        if (allSessions.length > 0) {
+          await rememberSession(allSessions[0]);
+        }
+      } catch (fetchError) {
+        if (!isNetworkError(fetchError)) throw fetchError;
+
+        // Server unreachable: continue from the last known copy of the session
+        const lastSession = await getLastKnownSession(deviceId);
+        console.log('Server unreachable, using last known session:', lastSession);
+        allSessions = lastSession ? [lastSession] : [];
+      }
+      console.log("Session query filter:", openSessionFilter(deviceId));
 
       if (allSessions && allSessions.length > 0) {
-        const session = allSessions[0];
+        let session = allSessions[0];
         console.log('Found session for device:', session);
 
         setSessionId(session.id);
+        setCurrentSession(session);
 
         // Ensure dates are properly parsed
         let parsedInTime = null;
@@ -468,25 +399,23 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
         }
 
         // Check session status
-        if (session.status === "Active" || session.status === "Booked" || session.status === "Occupied" || session.status === "Extended") {
+        if (isOpenStatus(session.status)) {
           console.log(`Session is ${session.status}, treating as active`);
 
-          // If session is from server, update it to Active status
-          if (session.status === "Booked" || session.status === "Occupied") {
-            try {
-              await update(session.id, { status: "Active" });
-              console.log("Updated session status from", session.status, "to Active");
-            } catch (updateError) {
-              console.error("Error updating session status:", updateError);
-            }
+          // If session was handed over by the server, promote it to Active
+          try {
+            session = await activateSession(session);
+            setCurrentSession(session);
+          } catch (updateError) {
+            console.error("Error updating session status:", updateError);
           }
 
           setIsSessionActive(true);
 
-          // Check if out_time has passed
+          // Check if out_time has passed (a paused session's clock is stopped)
           if (parsedOutTime) {
-            const now = new Date();
-            if (now > parsedOutTime) {
+            const now = serverNow();
+            if (now > effectiveOutTime(session, now)) {
               console.log("Session has ended (out_time has passed)");
               setIsSessionActive(false);
 
@@ -497,7 +426,7 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
               setIsSessionActive(true);
             }
           }
-        } else if (session.status === "Closed") {
+        } else if (session.status === SESSION_STATUS.CLOSED) {
           console.log("Session is Closed");
           setIsSessionActive(false);
 
@@ -511,36 +440,13 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
         // Get device information and calculate session cost if available
         if (session.device) {
           try {
-            // Calculate session duration in hours
-            let durationHours = 1; // Default to 1 hour
-
-            // First check if the session has a duration field
-            if (session.duration) {
-              // Duration is stored in minutes, convert to hours
-              durationHours = session.duration / 60;
-              console.log(`Using session duration from record: ${durationHours.toFixed(2)} hours (${session.duration} minutes)`);
-            }
-            // If no duration field or it's zero, calculate from in_time and out_time
-            else if (session.in_time && session.out_time) {
-              const inTime = new Date(session.in_time);
-              const outTime = new Date(session.out_time);
-
-              if (!isNaN(inTime.getTime()) && !isNaN(outTime.getTime())) {
-                // Calculate duration in hours
-                const durationMs = outTime - inTime;
-                durationHours = durationMs / (1000 * 60 * 60);
-                console.log(`Calculated session duration: ${durationHours.toFixed(2)} hours`);
-              }
-            }
-
-            console.log(`DURATION CHECK: Session duration is ${durationHours.toFixed(2)} hours`);
-
-            // Fetch device group and calculate cost
-            const calculatedCost = await fetchDeviceGroupAndCalculateCost(session.device, durationHours);
+            // Fetch device group and calculate cost for the session window
+            const billingWindow = sessionWindow(session);
+            const calculatedCost = await fetchDeviceGroupAndCalculateCost(session.device, billingWindow.inTime, billingWindow.outTime);
 
             // If the session already has a session_total, use that instead
             if (session.session_total && session.session_total > 0) {
-              console.log(`Session already has a cost: ₹${session.session_total} (using this instead of calculated cost: ₹${calculatedCost})`);
+              console.log(`Session already has a cost: ₹${session.session_total} (using this instead of calculated cost: ₹${calculatedCost.finalCost})`);
               setSessionCost(session.session_total);
             }
           } catch (deviceErr) {
@@ -559,7 +465,7 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
       setError('Failed to check for existing session: ' + (err.message || 'Unknown error'));
       return null;
     }
-  }, [getList, showNotification, fetchDeviceGroupAndCalculateCost]);
+  }, [showNotification, fetchDeviceGroupAndCalculateCost]);
 
   // Function to update remaining time
   const updateRemainingTime = useCallback(async () => {
@@ -569,7 +475,9 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
     }
 
     try {
-      const now = new Date();
+      // While paused the countdown stays frozen at the moment of pausing
+      const isPaused = currentSession && currentSession.status === SESSION_STATUS.PAUSED;
+      const now = isPaused && currentSession.paused_at ? new Date(currentSession.paused_at) : serverNow();
       const end = new Date(outTime);
 
       // Validate that outTime is a valid date
@@ -586,265 +494,18 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
       if (diff <= 0) {
         setRemainingTime({ hours: 0, minutes: 0, seconds: 0 });
 
-        // Check if the session has truly expired (gone into yesterday)
-        const now = new Date();
-        const endDate = new Date(outTime);
-        const isYesterday = now.getDate() > endDate.getDate() ||
-                           now.getMonth() > endDate.getMonth() ||
-                           now.getFullYear() > endDate.getFullYear();
-
-        // If session is active and time is up, we should notify and log out the user
-        if (isSessionActive && sessionId && !notificationShown) {
-          if (isYesterday) {
-            // If it's gone into yesterday, we'll close the session
-            showNotification('Your session has ended. The system will log you out in 5 seconds.', true);
-          } else {
-            // Even if it hasn't gone into yesterday, we'll still log out the user
-            showNotification('Your session time has ended. The system will log you out in 5 seconds.', true);
+        // The group may allow some time to extend before the PC locks
+        const graceMs = graceMinutes(groupInfo) * 60 * 1000;
+        if (isSessionActive && sessionId && !isPaused && graceMs > 0 && -diff < graceMs) {
+          if (!graceEndsAt) {
+            setGraceEndsAt(new Date(end.getTime() + graceMs));
+            showNotification(`Your session has ended. Extend within ${graceMinutes(groupInfo)} minutes to keep playing.`, true);
           }
-          setNotificationShown(true);
-
-          // Auto logout after session ends (regardless of whether it's gone into yesterday)
-          setTimeout(() => {
-            try {
-              // Clear localStorage
-              localStorage.removeItem('user_login_info');
-              // Clear client app login flag
-              localStorage.removeItem('client_app_login');
-
-              // Don't reload the page, just clear auth store
-              pbclient.authStore.clear();
-              console.log("Auth store cleared instead of page reload");
-
-              // Show another notification about logout
-              showNotification('You have been logged out due to session expiration.', true);
-
-              // Enable kiosk mode
-              try {
-                console.log("Enabling kiosk mode after session end");
-
-                // First try direct Neutralino API call
-                if (window.Neutralino && window.Neutralino.window) {
-                  try {
-                    window.Neutralino.window.setFullScreen(true)
-                      .then(() => console.log("Kiosk mode enabled directly via Neutralino API"))
-                      .catch(directError => console.error("Error enabling kiosk mode directly:", directError));
-                  } catch (directError) {
-                    console.error("Error enabling kiosk mode directly:", directError);
-                  }
-                }
-
-                // Always dispatch the event as a backup
-                const kioskEvent = new CustomEvent('enable-kiosk-mode', {
-                  detail: { reason: 'session-ended', force: true }
-                });
-                window.dispatchEvent(kioskEvent);
-                console.log("Dispatched enable-kiosk-mode event");
-
-                // As a final fallback, try to reload the page after a short delay
-                setTimeout(() => {
-                  try {
-                    console.log("Reloading page as final fallback for kiosk mode");
-                    window.location.reload();
-                  } catch (reloadError) {
-                    console.error("Error reloading page:", reloadError);
-                  }
-                }, 1000); // Wait 1 second before reload
-              } catch (kioskError) {
-                console.error("Error in kiosk mode enabling process:", kioskError);
-              }
-
-              console.log("Auto logout triggered after session end");
-            } catch (logoutError) {
-              console.error("Error during auto logout:", logoutError);
-            }
-          }, 5000); // Wait 5 seconds before logout
+          return;
         }
 
-        // Only close the session in the database if it's active, has an ID, and the time has gone into yesterday
-        if (isSessionActive && sessionId && isYesterday) {
-          console.log("Session time has gone into yesterday, updating status to Closed");
-
-          // Update session status to Closed if it's still active
-          try {
-            // Get device ID from localStorage or from session data
-            let deviceId = null;
-
-            // First check if we have device info already
-            if (deviceInfo && deviceInfo.id) {
-              deviceId = deviceInfo.id;
-              console.log("Using device ID from deviceInfo:", deviceId);
-            } else {
-              try {
-                // First check user_login_info for device ID
-                const savedInfo = localStorage.getItem('user_login_info');
-                if (savedInfo) {
-                  const parsedInfo = JSON.parse(savedInfo);
-                  if (parsedInfo.deviceId) {
-                    deviceId = parsedInfo.deviceId;
-                    console.log("Using device ID from user_login_info:", deviceId);
-                  }
-                }
-
-                // If not found in user_login_info, check device_info
-                if (!deviceId) {
-                  const savedDeviceInfo = localStorage.getItem('device_info');
-                  if (savedDeviceInfo) {
-                    const parsedDeviceInfo = JSON.parse(savedDeviceInfo);
-                    if (parsedDeviceInfo.deviceId) {
-                      deviceId = parsedDeviceInfo.deviceId;
-                      console.log("Using device ID from device_info:", deviceId);
-                    }
-                  }
-                }
-              } catch (localStorageError) {
-                console.error("Error reading device ID from localStorage:", localStorageError);
-              }
-            }
-
-            // Get the latest cost details with happy hour pricing
-            let cost = sessionCost || 0;
-            let discountAmount = 0;
-            let discountRate = 0;
-
-            // Recalculate with happy hour pricing if we have device info
-            if (deviceInfo && deviceInfo.id) {
-              try {
-                // Calculate duration from in_time and out_time
-                const inTimeDate = new Date(inTime);
-                const outTimeDate = new Date(outTime);
-                const durationHours = (outTimeDate - inTimeDate) / (1000 * 60 * 60);
-
-                // Get cost details with happy hour pricing
-                const costDetails = await fetchDeviceGroupAndCalculateCost(deviceInfo.id, durationHours);
-
-                // Update cost and discount information
-                cost = costDetails.finalCost || 0;
-                discountAmount = costDetails.discountAmount || 0;
-                discountRate = costDetails.discountRate || 0;
-
-                if (costDetails.happyHourApplied) {
-                  console.log(`Happy hour pricing applied to session ${sessionId}`);
-                }
-              } catch (costError) {
-                console.error("Error calculating final cost with happy hour pricing:", costError);
-              }
-            }
-
-            console.log(`Closing session ${sessionId} with cost: ₹${cost} (Discount: ₹${discountAmount} at ${discountRate}%)`);
-
-            // Update session with closed status and payment details
-            await update(sessionId, {
-              status: 'Closed',
-              amount_paid: cost,
-              discount_amount: discountAmount,
-              discount_rate: discountRate,
-              session_total: cost,
-              total_amount: cost
-            });
-
-            console.log("Session status updated to Closed");
-
-            // Create a session log entry for closing
-            await pbclient.collection('session_logs').create({
-              session_id: sessionId,
-              type: 'Closed',
-              session_amount: cost
-            });
-
-            console.log("Session log entry created for session closure");
-
-            // Update device status to Available
-            if (deviceId) {
-              try {
-                await pbclient.collection('devices').update(deviceId, {
-                  status: 'Available',
-                  token: '',
-                  client_record: ''
-                });
-                console.log("Device status updated to Available");
-              } catch (deviceUpdateError) {
-                console.error("Error updating device status:", deviceUpdateError);
-              }
-            } else {
-              console.warn("No device ID found, cannot update device status");
-            }
-
-            setIsSessionActive(false);
-
-            // Show session ended notification if not already shown
-            if (!notificationShown) {
-              // Use system notification with high priority
-              showNotification('Your session has ended. The system will log you out in 5 seconds.', true);
-              setNotificationShown(true);
-              console.log("Session ended notification shown");
-
-              // Auto logout after session ends
-              setTimeout(() => {
-                try {
-                  // Clear localStorage
-                  localStorage.removeItem('user_login_info');
-                  // Clear client app login flag
-                  localStorage.removeItem('client_app_login');
-
-                  // Don't reload the page, just clear auth store
-                  pbclient.authStore.clear();
-                  console.log("Auth store cleared instead of page reload");
-
-                  // Show another notification about logout
-                  showNotification('You have been logged out due to session expiration.', true);
-
-                  // Enable kiosk mode
-                  try {
-                    console.log("Enabling kiosk mode after session end");
-
-                    // First try direct Neutralino API call
-                    if (window.Neutralino && window.Neutralino.window) {
-                      try {
-                        window.Neutralino.window.setFullScreen(true)
-                          .then(() => console.log("Kiosk mode enabled directly via Neutralino API"))
-                          .catch(directError => console.error("Error enabling kiosk mode directly:", directError));
-                      } catch (directError) {
-                        console.error("Error enabling kiosk mode directly:", directError);
-                      }
-                    }
-
-                    // Always dispatch the event as a backup
-                    const kioskEvent = new CustomEvent('enable-kiosk-mode', {
-                      detail: { reason: 'session-ended', force: true }
-                    });
-                    window.dispatchEvent(kioskEvent);
-                    console.log("Dispatched enable-kiosk-mode event");
-
-                    // As a final fallback, try to reload the page after a short delay
-                    // This will force the app to restart in its initial state (kiosk mode)
-                    setTimeout(() => {
-                      try {
-                        console.log("Reloading page as final fallback for kiosk mode");
-                        window.location.reload();
-                      } catch (reloadError) {
-                        console.error("Error reloading page:", reloadError);
-                      }
-                    }, 1000); // Wait 1 second before reload
-                  } catch (kioskError) {
-                    console.error("Error in kiosk mode enabling process:", kioskError);
-                  }
-
-                  console.log("Auto logout triggered after session end");
-                } catch (logoutError) {
-                  console.error("Error during auto logout:", logoutError);
-                }
-              }, 5000); // Wait 5 seconds before logout
-            }
-          } catch (updateError) {
-            console.error("Error updating session status:", updateError);
-
-            // Even if update fails, still show notification
-            if (!notificationShown) {
-              showNotification('Your session has ended, but there was an error updating the session status.', true);
-              setNotificationShown(true);
-            }
-          }
+        if (isSessionActive && sessionId && !isPaused) {
+          expireSession(sessionId);
         }
         return;
       }
@@ -860,53 +521,32 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
 
       setRemainingTime({ hours, minutes, seconds });
 
-      // Show notification 5 minutes before session ends
-      const totalMinutesLeft = hours * 60 + minutes;
+      // Back in time after an extension
+      if (graceEndsAt) {
+        setGraceEndsAt(null);
+      }
+
+      if (isSessionActive && sessionId && !isPaused) {
+        const remainingMs = end - now;
+        const stage = dueWarning(warningSchedule(groupInfo), remainingMs, firedWarningsRef.current);
 
-      if (isSessionActive && sessionId) {
-        if (totalMinutesLeft <= 5 && totalMinutesLeft > 0 && !notificationShown) {
-          console.log(`Session ending soon: ${totalMinutesLeft} minutes remaining`);
-          showNotification(`Your session will end in ${totalMinutesLeft} minutes. Please save your work.`, true); // Use system notification
-          setNotificationShown(true);
-        }
+        if (stage) {
+          const minutesLeft = Math.ceil(remainingMs / (60 * 1000));
+          const message = `Your session will end in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}. Please save your work.`;
+          console.log(`Session ending soon: ${minutesLeft} minutes remaining (${stage.style} warning)`);
 
-        // Reset notification flag if more than 5 minutes left
-        if (totalMinutesLeft > 5 && notificationShown) {
-          setNotificationShown(false);
+          showNotification(message, stage.style === WARNING_STYLE.SYSTEM);
+          if (stage.style === WARNING_STYLE.SOUND) {
+            playWarningSound();
+          }
+          setWarningFlash(true);
         }
       }
     } catch (error) {
       console.error('Error calculating remaining time:', error);
       setRemainingTime({ hours: 0, minutes: 0, seconds: 0 });
     }
-  }, [outTime, isSessionActive, sessionId, update, notificationShown, showNotification, deviceInfo, sessionCost]);
-
-  // Function to check if the device has a token or client_record
-  const checkDeviceTokenAndRecord = useCallback(async (deviceId) => {
-    if (!deviceId) return null;
-
-    try {
-      console.log("Checking device token and client_record for device:", deviceId);
-
-      // Get the device details
-      const device = await pbclient.collection('devices').getOne(deviceId);
-
-      if (device && (device.token || device.client_record)) {
-        console.log("Device has token or client_record:", {
-          token: device.token ? "Present" : "Not present",
-          client_record: device.client_record ? "Present" : "Not present"
-        });
-
-        // If the device has a token or client_record, it means a session was created from the server app
-        return device;
-      }
-
-      return null;
-    } catch (error) {
-      console.error("Error checking device token and client_record:", error);
-      return null;
-    }
-  }, []);
+  }, [outTime, isSessionActive, sessionId, currentSession, showNotification, expireSession, groupInfo, graceEndsAt]);
 
   // Initialize session on component mount or when activeSession/sessionData changes
   useEffect(() => {
@@ -920,6 +560,7 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
           console.log("Using session data from props:", sessionDataProp);
 
           setSessionId(sessionDataProp.id);
+          setCurrentSession(sessionDataProp);
 
           // Set in_time and out_time
           if (sessionDataProp.in_time) {
@@ -940,36 +581,13 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
           // Calculate session cost
           if (sessionDataProp.device) {
             try {
-              // Calculate session duration in hours
-              let durationHours = 1; // Default to 1 hour
-
-              // First check if the session has a duration field
-              if (sessionDataProp.duration) {
-                // Duration is stored in minutes, convert to hours
-                durationHours = sessionDataProp.duration / 60;
-                console.log(`Using session duration from record: ${durationHours.toFixed(2)} hours (${sessionDataProp.duration} minutes)`);
-              }
-              // If no duration field or it's zero, calculate from in_time and out_time
-              else if (sessionDataProp.in_time && sessionDataProp.out_time) {
-                const inTime = new Date(sessionDataProp.in_time);
-                const outTime = new Date(sessionDataProp.out_time);
-
-                if (!isNaN(inTime.getTime()) && !isNaN(outTime.getTime())) {
-                  // Calculate duration in hours
-                  const durationMs = outTime - inTime;
-                  durationHours = durationMs / (1000 * 60 * 60);
-                  console.log(`Calculated session duration: ${durationHours.toFixed(2)} hours`);
-                }
-              }
-
-              console.log(`DURATION CHECK: Session duration is ${durationHours.toFixed(2)} hours`);
-
-              // Fetch device group and calculate cost
-              const calculatedCost = await fetchDeviceGroupAndCalculateCost(sessionDataProp.device, durationHours);
+              // Fetch device group and calculate cost for the session window
+              const billingWindow = sessionWindow(sessionDataProp);
+              const calculatedCost = await fetchDeviceGroupAndCalculateCost(sessionDataProp.device, billingWindow.inTime, billingWindow.outTime);
 
               // If the session already has a session_total, use that instead
               if (sessionDataProp.session_total && sessionDataProp.session_total > 0) {
-                console.log(`Session already has a cost: ₹${sessionDataProp.session_total} (using this instead of calculated cost: ₹${calculatedCost})`);
+                console.log(`Session already has a cost: ₹${sessionDataProp.session_total} (using this instead of calculated cost: ₹${calculatedCost.finalCost})`);
                 setSessionCost(sessionDataProp.session_total);
               }
             } catch (deviceErr) {
@@ -987,31 +605,14 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
           console.log("Found existing session:", existingSession);
 
           // Check session status and timing
-          const now = new Date();
-          const outTime = existingSession.out_time ? new Date(existingSession.out_time) : null;
-          const inTime = existingSession.in_time ? new Date(existingSession.in_time) : null;
-
-          // Calculate session duration for cost calculation
-          let totalDurationHours = 1; // Default to 1 hour
-
-          // First check if the session has a duration field
-          if (existingSession.duration) {
-            // Duration is stored in minutes, convert to hours
-            totalDurationHours = existingSession.duration / 60;
-            console.log(`Using session duration from record: ${totalDurationHours.toFixed(2)} hours (${existingSession.duration} minutes)`);
-          }
-          // If no duration field or it's zero, calculate from in_time and out_time
-          else if (inTime && outTime && !isNaN(inTime.getTime()) && !isNaN(outTime.getTime())) {
-            totalDurationHours = (outTime - inTime) / (1000 * 60 * 60);
-            console.log(`Calculated session duration: ${totalDurationHours.toFixed(2)} hours`);
-          }
-
-          console.log(`INIT SESSION DURATION CHECK: Session duration is ${totalDurationHours.toFixed(2)} hours`);
+          const now = serverNow();
+          const outTime = effectiveOutTime(existingSession, now);
 
           // If the session doesn't have a cost already, calculate it
           if (!existingSession.session_total || existingSession.session_total <= 0) {
             if (existingSession.device) {
-              await fetchDeviceGroupAndCalculateCost(existingSession.device, totalDurationHours);
+              const billingWindow = sessionWindow(existingSession);
+              await fetchDeviceGroupAndCalculateCost(existingSession.device, billingWindow.inTime, billingWindow.outTime);
             }
           } else {
             console.log(`Using existing session cost: ₹${existingSession.session_total}`);
@@ -1023,171 +624,35 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
             const diffMs = outTime - now;
             const diffMinutes = Math.floor(diffMs / (1000 * 60));
 
-            // Check if the session has truly expired (gone into yesterday)
-            const endDate = new Date(outTime);
-            const isYesterday = now.getDate() > endDate.getDate() ||
-                               now.getMonth() > endDate.getMonth() ||
-                               now.getFullYear() > endDate.getFullYear();
-
-            // If session time is up, we should notify and log out the user
-            if (diffMs <= 0 && !notificationShown) {
-              if (isYesterday) {
-                // If it's gone into yesterday, we'll close the session
-                showNotification('Your session has ended. The system will log you out in 5 seconds.', true);
-              } else {
-                // Even if it hasn't gone into yesterday, we'll still log out the user
-                showNotification('Your session time has ended. The system will log you out in 5 seconds.', true);
-              }
-              setNotificationShown(true);
-
-              // Auto logout after session ends (regardless of whether it's gone into yesterday)
-              setTimeout(() => {
-                try {
-                  // Clear localStorage
-                  localStorage.removeItem('user_login_info');
-
-                  // Don't reload the page, just clear auth store
-                  pbclient.authStore.clear();
-                  console.log("Auth store cleared instead of page reload");
-
-                  // Enable kiosk mode
-                  try {
-                    console.log("Enabling kiosk mode after session end");
-
-                    // First try direct Neutralino API call
-                    if (window.Neutralino && window.Neutralino.window) {
-                      try {
-                        window.Neutralino.window.setFullScreen(true)
-                          .then(() => console.log("Kiosk mode enabled directly via Neutralino API"))
-                          .catch(directError => console.error("Error enabling kiosk mode directly:", directError));
-                      } catch (directError) {
-                        console.error("Error enabling kiosk mode directly:", directError);
-                      }
-                    }
-
-                    // Always dispatch the event as a backup
-                    const kioskEvent = new CustomEvent('enable-kiosk-mode', {
-                      detail: { reason: 'session-ended', force: true }
-                    });
-                    window.dispatchEvent(kioskEvent);
-                    console.log("Dispatched enable-kiosk-mode event");
-
-                    // As a final fallback, try to reload the page after a short delay
-                    setTimeout(() => {
-                      try {
-                        console.log("Reloading page as final fallback for kiosk mode");
-                        window.location.reload();
-                      } catch (reloadError) {
-                        console.error("Error reloading page:", reloadError);
-                      }
-                    }, 1000); // Wait 1 second before reload
-                  } catch (kioskError) {
-                    console.error("Error in kiosk mode enabling process:", kioskError);
-                  }
-
-                  console.log("Auto logout triggered after session end");
-                } catch (logoutError) {
-                  console.error("Error during auto logout:", logoutError);
-                }
-              }, 5000); // Wait 5 seconds before logout
-            }
-
-            // Only close the session in the database if it's gone into yesterday
-            if (diffMs <= 0 && isYesterday) {
-              // Session has ended and gone into yesterday
-              console.log("Session has ended (out_time has passed and gone into yesterday)");
-
-              if (existingSession.status !== "Closed") {
-                // Update session status to Closed
-                try {
-                  // Get device ID from localStorage
-                  let deviceId = existingSession.device || null;
-
-                  // Calculate session cost and payment details
-                  const cost = sessionCost || existingSession.session_total || 0;
-                  const discountAmount = 0;
-                  const discountRate = 0;
-
-                  // Update session with closed status and payment details
-                  await update(existingSession.id, {
-                    status: 'Closed',
-                    amount_paid: cost,
-                    discount_amount: discountAmount,
-                    discount_rate: discountRate
-                  });
-
-                  // Create a session log entry for closing
-                  await pbclient.collection('session_logs').create({
-                    session_id: existingSession.id,
-                    type: 'Closed',
-                    session_amount: cost
-                  });
-
-                  // Update device status to Available
-                  if (deviceId) {
-                    try {
-                      await pbclient.collection('devices').update(deviceId, {
-                        status: 'Available',
-                        token: '',
-                        client_record: ''
-                      });
-                      console.log("Device status updated to Available");
-                    } catch (deviceUpdateError) {
-                      console.error("Error updating device status:", deviceUpdateError);
-                    }
-                  }
-
-                  console.log("Updated session status to Closed");
-                } catch (updateError) {
-                  console.error("Error updating session status:", updateError);
-                }
-              }
-
-              // This section is now handled by the code above that checks if diffMs <= 0
-              // No need for duplicate notification and logout code here
+            // Time and any grace period are up
+            const graceMs = graceMinutes(groupInfoRef.current) * 60 * 1000;
+            if (diffMs <= -graceMs) {
+              console.log("Session has ended (out_time and grace period have passed)");
+              expireSession(existingSession.id);
+            } else if (diffMs <= 0) {
+              console.log("Session is in its grace period");
             } else if (diffMinutes <= 5) {
-              // Less than 5 minutes remaining
+              // Less than 5 minutes remaining; the countdown raises the warnings
               console.log(`Session ending soon: ${diffMinutes} minutes remaining`);
-
-              // Show 5-minute warning if not already shown
-              if (!notificationShown) {
-                showNotification(`Your session will end in ${diffMinutes} minutes. Please save your work.`, true); // Use system notification
-                setNotificationShown(true);
-              }
             } else {
               // Session is active with more than 5 minutes remaining
               console.log(`Session active: ${diffMinutes} minutes remaining`);
 
-              // If session status is not Active, update it
-              if (existingSession.status !== "Active" &&
-                existingSession.status !== "Booked" &&
-                existingSession.status !== "Extended") {
-                try {
-                  await update(existingSession.id, { status: "Active" });
-                  console.log("Updated session status to Active");
-                } catch (updateError) {
-                  console.error("Error updating session status:", updateError);
-                }
+              // Promote a session handed over by the server to Active
+              try {
+                setCurrentSession(await activateSession(existingSession));
+              } catch (updateError) {
+                console.error("Error updating session status:", updateError);
               }
             }
           } else {
             console.log("Session has no out_time, cannot determine remaining time");
           }
         } else {
-          // No existing session found, check if we should create a new one
+          // No existing session found, let the user pick a package to start one
           if (userId) {
-            console.log("No session found, creating new session for user:", userId);
-            const newSession = await createSession();
-
-            if (newSession) {
-              console.log("New session created:", newSession);
-
-              // Show notification that session has started
-              showNotification('Your 1-hour session has started.');
-            } else {
-              console.error("Failed to create new session");
-              setError("Failed to create session");
-            }
+            console.log("No session found, waiting for user to pick a package:", userId);
+            setAwaitingPackage(true);
           } else {
             console.log("No user ID provided and no existing session found");
           }
@@ -1201,15 +666,16 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
     };
 
     initSession();
-  }, [userId, activeSession, sessionDataProp, checkExistingSession, createSession, showNotification, notificationShown, update, fetchDeviceGroupAndCalculateCost, checkDeviceTokenAndRecord]);
+  }, [userId, activeSession, sessionDataProp, checkExistingSession, createSession, expireSession, fetchDeviceGroupAndCalculateCost]);
 
   // Update session data when real-time updates are received
   useEffect(() => {
     if (sessionData && sessionData.length > 0) {
       const session = sessionData[0];
+      setCurrentSession(session);
       setInTime(new Date(session.in_time));
       setOutTime(new Date(session.out_time));
-      setIsSessionActive(session.status === 'Active');
+      setIsSessionActive(isOpenStatus(session.status));
 
       // Update device info if available
       if (session.device && !deviceInfo) {
@@ -1220,10 +686,28 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
     }
   }, [sessionData, deviceInfo]);
 
+  // Swap the local session id for the server one once offline changes are replayed
+  useEffect(() => {
+    const handleQueueReplayed = (event) => {
+      const { idMap, session } = event.detail || {};
+      if (sessionId && idMap && idMap[sessionId]) {
+        console.log('Offline session synced, new session ID:', idMap[sessionId]);
+        setSessionId(idMap[sessionId]);
+        if (session && session.id === idMap[sessionId]) {
+          setCurrentSession(session);
+        }
+      }
+    };
+
+    window.addEventListener('session-queue-replayed', handleQueueReplayed);
+    return () => window.removeEventListener('session-queue-replayed', handleQueueReplayed);
+  }, [sessionId]);
+
   // Update session data when sessionDataProp changes
   useEffect(() => {
     if (sessionDataProp) {
       // Update session info from props
+      setCurrentSession(sessionDataProp);
       if (sessionDataProp.in_time) {
         setInTime(new Date(sessionDataProp.in_time));
       }
@@ -1251,65 +735,133 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
     }
   }, [isSessionActive, updateRemainingTime]);
 
-  // Function to extend the session
-  const extendSession = useCallback(async () => {
-    if (!sessionId) return;
+  // The session init reads the grace period without re-running when the group loads
+  useEffect(() => {
+    groupInfoRef.current = groupInfo;
+  }, [groupInfo]);
+
+  // Full-screen countdown for the last minute, and through any grace period
+  const secondsLeft = remainingTime.hours * 3600 + remainingTime.minutes * 60 + remainingTime.seconds;
+  const isPausedSession = currentSession && currentSession.status === SESSION_STATUS.PAUSED;
+  const showEndCountdown = isSessionActive && !isPausedSession &&
+    (Boolean(graceEndsAt) || (secondsLeft > 0 && secondsLeft <= FINAL_COUNTDOWN_SECONDS));
+
+  useEffect(() => {
+    if (showEndCountdown) {
+      setWindowMode(WINDOW_MODE.ALERT);
+    } else if (getKioskState().mode === WINDOW_MODE.ALERT) {
+      setWindowMode(WINDOW_MODE.MINI);
+    }
+  }, [showEndCountdown]);
+
+  // Stop flashing the docked timer a little after a warning
+  useEffect(() => {
+    if (!warningFlash) {
+      return;
+    }
+
+    const timeout = setTimeout(() => setWarningFlash(false), 15000);
+    return () => clearTimeout(timeout);
+  }, [warningFlash]);
+
+  // Dock to a corner once a session is running, so the countdown stays in view while gaming
+  useEffect(() => {
+    if (isSessionActive && sessionId) {
+      setWindowMode(WINDOW_MODE.MINI);
+    }
+  }, [isSessionActive, sessionId]);
+
+  // Follow the customer's privacy lock
+  useEffect(() => subscribePrivacyLock(setPrivacyLock), []);
+
+  // A privacy lock left over from an earlier session no longer applies
+  useEffect(() => {
+    if (privacyLock && sessionId && privacyLock.sessionId !== sessionId) {
+      clearPrivacyLock();
+    }
+  }, [privacyLock, sessionId]);
+
+  // "Lock my screen" from the tray opens the PIN prompt on the full card
+  useEffect(() => {
+    const handlePrivacyLockRequest = () => {
+      setWindowMode(WINDOW_MODE.FULL);
+      setSettingPin(true);
+    };
+
+    window.addEventListener('request-privacy-lock', handlePrivacyLockRequest);
+    return () => window.removeEventListener('request-privacy-lock', handlePrivacyLockRequest);
+  }, []);
 
+  const lockScreen = async () => {
+    setPinError('');
     try {
-      setLoading(true);
+      await startPrivacyLock(currentSession, (deviceInfo && deviceInfo.id) || getSavedDeviceId(), lockPin);
+      setSettingPin(false);
+      setLockPin('');
+    } catch (err) {
+      setPinError(err.message || 'Could not lock the screen');
+    }
+  };
 
-      // Extend by 1 hour
-      const currentOutTime = new Date(outTime);
-      const newOutTime = new Date(currentOutTime.getTime() + 60 * 60 * 1000);
-      const inTimeDate = new Date(inTime);
+  // Waiting for a package choice until a session shows up (a session started from the counter ends the wait)
+  const choosingPackage = awaitingPackage && !isSessionActive;
 
-      // Calculate new duration in hours
-      const newDurationHours = (newOutTime - inTimeDate) / (1000 * 60 * 60);
-      const newDurationMinutes = newDurationHours * 60;
+  // Price the packages whenever the session they would start or extend changes
+  useEffect(() => {
+    const deviceId = (deviceInfo && deviceInfo.id) || getSavedDeviceId();
+
+    if (choosingPackage) {
+      const now = serverNow();
+      loadPackageOptions(deviceId, now, now);
+    } else if (isSessionActive && inTime && outTime) {
+      loadPackageOptions(deviceId, inTime, outTime);
+    } else {
+      setPackageOptions([]);
+    }
+  }, [choosingPackage, isSessionActive, inTime, outTime, deviceInfo, loadPackageOptions]);
 
-      console.log(`Extending session to ${newDurationHours.toFixed(2)} hours (${newDurationMinutes.toFixed(0)} minutes)`);
+  const selectedOption = packageOptions.find(option => option.package.id === selectedPackageId) || null;
 
-      // Recalculate session cost if device has a group
-      let newCost = sessionCost;
-      let discountAmount = 0;
-      let discountRate = 0;
+  // Function to start a session with the selected package
+  const startSession = useCallback(async () => {
+    const sessionPackage = selectedOption ? selectedOption.package : DEFAULT_PACKAGE;
+    const newSession = await createSession(sessionPackage);
 
-      if (deviceInfo && deviceInfo.id) {
-        try {
-          // Calculate new cost based on extended duration with happy hour pricing
-          const costDetails = await fetchDeviceGroupAndCalculateCost(deviceInfo.id, newDurationHours);
+    if (newSession) {
+      console.log("New session created:", newSession);
 
-          // Update cost and discount information
-          newCost = costDetails.finalCost || 0;
-          discountAmount = costDetails.discountAmount || 0;
-          discountRate = costDetails.discountRate || 0;
+      // Show notification that session has started
+      showNotification(`Your ${sessionPackage.name} session has started.`);
+    } else {
+      console.error("Failed to create new session");
+    }
+  }, [selectedOption, createSession, showNotification]);
 
-          if (costDetails.happyHourApplied) {
-            console.log(`Happy hour pricing applied to extended session: ₹${newCost} (Discount: ₹${discountAmount} at ${discountRate}%)`);
-          }
-        } catch (costError) {
-          console.error("Error recalculating session cost:", costError);
-        }
+  // Function to extend the session
+  const extendSession = useCallback(async () => {
+    if (!sessionId) return;
+
+    try {
+      setLoading(true);
+
+      // Extend by the selected package, starting from the current end time
+      const sessionPackage = selectedOption ? selectedOption.package : DEFAULT_PACKAGE;
+      const currentOutTime = new Date(outTime);
+      const newOutTime = packageOutTime(sessionPackage, currentOutTime);
+
+      if (!newOutTime || newOutTime <= currentOutTime) {
+        throw new Error(`Package ${sessionPackage.name} cannot extend this session`);
       }
 
-      // Update the session
-      await update(sessionId, {
-        out_time: newOutTime.toISOString(),
-        status: 'Extended',
-        duration: newDurationMinutes, // Duration in minutes
-        session_total: newCost || 0,
-        total_amount: newCost || 0,
-        discount_amount: discountAmount || 0,
-        discount_rate: discountRate || 0
-      });
+      // Re-price and write the extension (also writes the Extended log)
+      const { session: extendedSession, quote } = await extendSessionTo(currentSession, newOutTime);
+      setSessionCost(quote.finalCost);
 
-      // Create a session log entry for extension
-      await pbclient.collection('session_logs').create({
-        session_id: sessionId,
-        type: 'Extended',
-        session_amount: 0
-      });
+      if (quote.happyHourApplied) {
+        console.log(`Happy hour pricing applied to extended session: ₹${quote.finalCost} (Discount: ₹${quote.discountAmount} at ${quote.discountRate}%)`);
+      }
 
+      setCurrentSession(extendedSession);
       setOutTime(newOutTime);
       setIsSessionActive(true);
 
@@ -1320,7 +872,7 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
     } finally {
       setLoading(false);
     }
-  }, [sessionId, outTime, inTime, deviceInfo, sessionCost, fetchDeviceGroupAndCalculateCost, update]);
+  }, [sessionId, currentSession, outTime, selectedOption]);
 
   // Format time for display
   const formatTime = (time) => {
@@ -1329,15 +881,80 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
     return timeValue.toString().padStart(2, '0');
   };
 
-
+  if (privacyLock && privacyLock.sessionId === sessionId) {
+    return <PrivacyLockScreen session={currentSession} />;
+  }
+
+  if (showEndCountdown) {
+    return (
+      <SessionEndCountdown
+        endsAt={graceEndsAt || new Date(outTime)}
+        grace={Boolean(graceEndsAt)}
+        extendLabel={(selectedOption ? selectedOption.package : DEFAULT_PACKAGE).name}
+        onExtend={extendSession}
+        extending={loading}
+      />
+    );
+  }
+
+  if (compact && isSessionActive) {
+    return (
+      <SessionMiniTimer
+        remaining={`${formatTime(remainingTime.hours)}:${formatTime(remainingTime.minutes)}:${formatTime(remainingTime.seconds)}`}
+        cost={sessionCost + ((currentSession && currentSession.snacks_total) || 0)}
+        flashing={warningFlash}
+        onExpand={() => setWindowMode(WINDOW_MODE.FULL)}
+      />
+    );
+  }
 
   return (
     <Card className="w-full">
       <CardHeader>
-        <CardTitle>Session Information {sessionId}</CardTitle>
-        <CardDescription>Your current session details</CardDescription>
+        <div className="flex justify-between items-start">
+          <div>
+            <CardTitle>Session Information {sessionId}</CardTitle>
+            <CardDescription>Your current session details</CardDescription>
+          </div>
+          {isSessionActive && (
+            <div className="flex gap-2">
+              <Button variant="outline" size="sm" onClick={() => setSettingPin(true)}>
+                Lock my screen
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => setWindowMode(WINDOW_MODE.MINI)}>
+                Minimise to timer
+              </Button>
+            </div>
+          )}
+        </div>
       </CardHeader>
       <CardContent>
+        {settingPin && isSessionActive && (
+          <div className="mb-4 p-4 border rounded-md space-y-2">
+            <Label htmlFor="privacy-pin">Choose a PIN to unlock with ({MIN_PIN_LENGTH}+ digits)</Label>
+            <Input
+              id="privacy-pin"
+              type="password"
+              inputMode="numeric"
+              autoFocus
+              value={lockPin}
+              onChange={(e) => setLockPin(e.target.value.replace(/\D/g, ''))}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') lockScreen();
+              }}
+            />
+            {pinError && <div className="text-sm text-destructive">{pinError}</div>}
+            <div className="flex justify-end gap-2">
+              <Button variant="outline" size="sm" onClick={() => { setSettingPin(false); setLockPin(''); setPinError(''); }}>
+                Cancel
+              </Button>
+              <Button size="sm" onClick={lockScreen} disabled={lockPin.length < MIN_PIN_LENGTH}>
+                Lock
+              </Button>
+            </div>
+          </div>
+        )}
+
         {loading ? (
           <div className="text-center py-4">Loading session information...</div>
         ) : error ? (
@@ -1347,7 +964,7 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
             <div className="flex justify-between items-center">
               <Label>Session Status:</Label>
               <span className={isSessionActive ? "text-green-500" : "text-destructive"}>
-                {isSessionActive ? "Active" : "Inactive"}
+                {currentSession && currentSession.status === SESSION_STATUS.PAUSED ? 'Paused' : isSessionActive ? "Active" : "Inactive"}
               </span>
             </div>
 
@@ -1397,20 +1014,57 @@ function SessionManager({ userId, activeSession, sessionData: sessionDataProp })
                         {((new Date(outTime) - new Date(inTime)) / (1000 * 60 * 60)).toFixed(2)} hours
                       </span>
                     </div>
+
+                    {currentSession && currentSession.snacks_total > 0 && (
+                      <div className="flex justify-between">
+                        <span>Snacks:</span>
+                        <span className="font-medium">₹{currentSession.snacks_total.toFixed(2)}</span>
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
             </div>
+
+            {packageOptions.length > 0 && (choosingPackage || isSessionActive) && (
+              <div className="space-y-2">
+                <Label>{choosingPackage ? 'Choose a package:' : 'Extend by:'}</Label>
+                <div className="grid grid-cols-2 gap-2">
+                  {packageOptions.map(option => (
+                    <Button
+                      key={option.package.id}
+                      variant={option.package.id === selectedPackageId ? "default" : "outline"}
+                      className="h-auto flex flex-col items-start py-2"
+                      onClick={() => setSelectedPackageId(option.package.id)}
+                    >
+                      <span>{option.package.name}</span>
+                      <span className="text-xs opacity-80">
+                        {choosingPackage ? '' : '+'}₹{option.addedCost.toFixed(2)} · until {option.outTime.toLocaleTimeString()}
+                      </span>
+                    </Button>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         )}
       </CardContent>
       <CardFooter className="flex justify-end">
-        <Button
-          onClick={extendSession}
-          disabled={loading || !isSessionActive}
-        >
-          Extend Session
-        </Button>
+        {choosingPackage ? (
+          <Button
+            onClick={startSession}
+            disabled={loading || !selectedOption}
+          >
+            Start Session
+          </Button>
+        ) : (
+          <Button
+            onClick={extendSession}
+            disabled={loading || !isSessionActive || !selectedOption || (currentSession && currentSession.status === SESSION_STATUS.PAUSED)}
+          >
+            Extend Session
+          </Button>
+        )}
       </CardFooter>
     </Card>
   );
@@ -0,0 +1,21 @@
+import React from 'react';
+
+/**
+ * Compact timer shown in the docked window while the customer plays
+ * Clicking it opens the full session card. It flashes while an end-of-session warning is up.
+ */
+const SessionMiniTimer = ({ remaining, cost, flashing, onExpand }) => {
+  return (
+    <div
+      className={`fixed top-0 left-0 w-full h-full flex flex-col justify-center px-4 cursor-pointer select-none text-white ${flashing ? 'bg-red-600 animate-pulse' : 'bg-black'}`}
+      onClick={onExpand}
+      title="Show session details"
+    >
+      <div className="text-xs uppercase text-gray-300">Time left</div>
+      <div className="text-3xl font-bold tabular-nums">{remaining}</div>
+      <div className="text-sm text-gray-300">Cost: ₹{cost.toFixed(2)}</div>
+    </div>
+  );
+};
+
+export default SessionMiniTimer;
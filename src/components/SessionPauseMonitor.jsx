@@ -0,0 +1,63 @@
+import { useEffect, useRef } from 'react';
+import { pbclient } from '@/lib/pocketbase/pb';
+import { useRealtimePb } from '@/hooks/useRealtimePb';
+import { SESSION_STATUS, isRunningStatus, openSessionFilter, pauseSession, resumeSession } from '@/lib/session/lifecycle';
+
+/**
+ * Component to let staff pause and resume the current session remotely
+ * Staff set `session_paused` on the device record; this component moves the
+ * open session to match and reports the result through onPauseChange.
+ * This component doesn't render anything
+ */
+const SessionPauseMonitor = ({ deviceId, onPauseChange }) => {
+  const busyRef = useRef(false);
+
+  // Use real-time hook to monitor device changes
+  const { data: deviceData } = useRealtimePb(
+    'devices',
+    deviceId ? `id = "${deviceId}"` : ''
+  );
+
+  useEffect(() => {
+    if (!deviceId || !deviceData || deviceData.length === 0 || busyRef.current) {
+      return;
+    }
+
+    const wantPaused = Boolean(deviceData[0].session_paused);
+
+    const applyPauseState = async () => {
+      busyRef.current = true;
+      try {
+        const session = await pbclient.collection('sessions').getFirstListItem(
+          openSessionFilter(deviceId),
+          { sort: '-created' }
+        );
+
+        let updated = null;
+        if (wantPaused && isRunningStatus(session.status)) {
+          console.log('Pausing session on staff request:', session.id);
+          updated = await pauseSession(session);
+        } else if (!wantPaused && session.status === SESSION_STATUS.PAUSED) {
+          console.log('Resuming session on staff request:', session.id);
+          updated = await resumeSession(session);
+        }
+
+        if (updated && onPauseChange) {
+          onPauseChange(updated);
+        }
+      } catch (error) {
+        if (error.status !== 404) {
+          console.error('Error applying session pause state:', error);
+        }
+      } finally {
+        busyRef.current = false;
+      }
+    };
+
+    applyPauseState();
+  }, [deviceId, deviceData, onPauseChange]);
+
+  return null;
+};
+
+export default SessionPauseMonitor;
@@ -0,0 +1,33 @@
+import React from 'react';
+
+/**
+ * Full-screen overlay shown while the current session is paused
+ * Shows the time the customer still has left, which stays frozen until staff resume the session
+ */
+const SessionPausedOverlay = ({ session }) => {
+  if (!session) return null;
+
+  const pausedAt = session.paused_at ? new Date(session.paused_at) : null;
+  const outTime = session.out_time ? new Date(session.out_time) : null;
+
+  let remaining = null;
+  if (pausedAt && outTime && !isNaN(pausedAt.getTime()) && !isNaN(outTime.getTime())) {
+    const diffMs = Math.max(0, outTime - pausedAt);
+    const hours = Math.floor(diffMs / (1000 * 60 * 60));
+    const minutes = Math.floor((diffMs % (1000 * 60 * 60)) / (1000 * 60));
+    const seconds = Math.floor((diffMs % (1000 * 60)) / 1000);
+    remaining = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+  }
+
+  return (
+    <div className="fixed top-0 left-0 w-full h-full flex flex-col items-center justify-center bg-black text-white z-50">
+      <div className="text-4xl font-bold mb-4">Session paused</div>
+      {remaining && (
+        <div className="text-2xl mb-2">Time remaining: {remaining}</div>
+      )}
+      <div className="text-sm text-gray-400">Please ask the counter staff to resume your session.</div>
+    </div>
+  );
+};
+
+export default SessionPausedOverlay;
@@ -1,11 +1,16 @@
 import { useState, useEffect } from 'react';
 import { pbclient } from '@/lib/pocketbase/pb';
+import { rememberSession, getLastKnownSession, isNetworkError } from '@/lib/session/offlineQueue';
+import { isOpenStatus, openSessionFilter, effectiveOutTime, activateSession } from '@/lib/session/lifecycle';
+import { serverNow } from '@/lib/session/serverTime';
+import { fetchPricingContext } from '@/lib/session/pricingContext';
+import { graceMinutes } from '@/lib/session/warnings';
 
 /**
  * Component to manage session state and kiosk mode
  * This component doesn't render anything, it just manages state
  */
-const SessionStateManager = ({ deviceId, onSessionStateChange }) => {
+const SessionStateManager = ({ deviceId, onSessionStateChange, onSessionExpired }) => {
   const [isChecking, setIsChecking] = useState(true);
   const [sessionActive, setSessionActive] = useState(false);
   const [sessionData, setSessionData] = useState(null);
@@ -35,39 +40,60 @@ const SessionStateManager = ({ deviceId, onSessionStateChange }) => {
       console.log("Checking for active sessions for device:", deviceId);
 
       // Check for any active session for this device
-      const sessions = await pbclient.collection('sessions').getList(1, 1, {
-        filter: `device = "${deviceId}" && (status = "Booked" || status = "Active" || status = "Occupied" || status = "Extended")`,
-        sort: '-created'
-      });
+      let sessions;
+      try {
+        sessions = await pbclient.collection('sessions').getList(1, 1, {
+          filter: openSessionFilter(deviceId),
+          sort: '-created'
+        });
+
+        if (sessions.items.length > 0) {
+          await rememberSession(sessions.items[0]);
+        }
+      } catch (fetchError) {
+        if (!isNetworkError(fetchError)) throw fetchError;
+
+        // Server unreachable: keep the countdown running from the last known out_time
+        const lastSession = await getLastKnownSession(deviceId);
+        console.log('Server unreachable, using last known session:', lastSession);
+        sessions = { items: lastSession ? [lastSession] : [] };
+      }
 
-      console.log("Session query filter:", `device = "${deviceId}" && (status = "Booked" || status = "Active" || status = "Occupied" || status = "Extended")`);
+      console.log("Session query filter:", openSessionFilter(deviceId));
 
       if (sessions && sessions.items.length > 0) {
-        const session = sessions.items[0];
+        let session = sessions.items[0];
         console.log("Found active session:", session);
 
         // Check if session is still valid (out_time hasn't passed)
         if (session.out_time) {
-          const outTime = new Date(session.out_time);
-          const now = new Date();
+          // A paused session's clock is stopped, so it cannot expire while paused
+          const outTime = effectiveOutTime(session);
+          const now = serverNow();
+
+          // The device group may give some grace after out_time to extend before the PC locks
+          let graceMs = 0;
+          if (now >= outTime) {
+            try {
+              const { group } = await fetchPricingContext(deviceId);
+              graceMs = graceMinutes(group) * 60 * 1000;
+            } catch (groupError) {
+              console.error('Error fetching grace period:', groupError);
+            }
+          }
 
-          if (now < outTime) {
+          if (now < outTime.getTime() + graceMs) {
             console.log("Session is still valid, out_time:", outTime);
+            // Promote a Booked or Occupied session to Active
+            try {
+              session = await activateSession(session);
+            } catch (updateError) {
+              console.error("Error updating session status:", updateError);
+            }
+
             setSessionActive(true);
             setSessionData(session);
 
-            // If session is not already Active, update it
-            if (session.status !== "Active") {
-              try {
-                await pbclient.collection('sessions').update(session.id, {
-                  status: "Active"
-                });
-                console.log("Updated session status to Active");
-              } catch (updateError) {
-                console.error("Error updating session status:", updateError);
-              }
-            }
-
             // Notify parent component
             if (onSessionStateChange) {
               onSessionStateChange(true, session);
@@ -77,39 +103,10 @@ const SessionStateManager = ({ deviceId, onSessionStateChange }) => {
           } else {
             console.log("Session has expired, out_time:", outTime);
 
-            // If this is a client app login, close the session and return to login
-            if (isClientApp) {
+            // A client app login ends here; logging out closes the session and locks the PC without a reload
+            if (isClientApp && isOpenStatus(session.status) && onSessionExpired) {
               console.log("Client app login detected with expired session");
-
-              // Close the session if it's not already closed
-              if (session.status !== "Closed") {
-                try {
-                  await pbclient.collection('sessions').update(session.id, {
-                    status: "Closed"
-                  });
-                  console.log("Updated expired session status to Closed");
-
-                  // Clear auth store to log out
-                  pbclient.authStore.clear();
-
-                  // Clear localStorage
-                  localStorage.removeItem('user_login_info');
-                  localStorage.removeItem('client_app_login');
-
-                  // Dispatch event to enable kiosk mode
-                  const kioskEvent = new CustomEvent('enable-kiosk-mode', {
-                    detail: { reason: 'client-session-expired', force: true }
-                  });
-                  window.dispatchEvent(kioskEvent);
-
-                  // Reload page to return to login
-                  setTimeout(() => {
-                    window.location.reload();
-                  }, 1000);
-                } catch (updateError) {
-                  console.error("Error updating session status:", updateError);
-                }
-              }
+              onSessionExpired(session);
             }
 
             setSessionActive(false);
@@ -0,0 +1,105 @@
+import React, { useEffect } from 'react';
+import { os, window as neuWindow } from '@neutralinojs/lib';
+import { useRealtimePb } from '@/hooks/useRealtimePb';
+import { RUNNING_STATUSES, effectiveOutTime } from '@/lib/session/lifecycle';
+import { serverNow } from '@/lib/session/serverTime';
+import { TRAY_ACTION, clearSessionTray, onTrayAction, showSessionTray } from '@/lib/device/tray';
+import { WINDOW_MODE, setWindowMode } from '@/lib/device/kioskController';
+import { callStaff } from '@/lib/device/messages';
+
+const ENDING_SOON_MINUTES = 5;
+
+function formatRemaining(ms) {
+  const totalMinutes = Math.max(0, Math.ceil(ms / (60 * 1000)));
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+}
+
+// Keeps the tray in step with one session, following its updates (extensions, pauses)
+function SessionTrayTimer({ session: initialSession }) {
+  const { data } = useRealtimePb('sessions', `id = "${initialSession.id}"`);
+  const session = data.find(record => record.id === initialSession.id) || initialSession;
+
+  useEffect(() => {
+    if (!RUNNING_STATUSES.includes(session.status)) {
+      clearSessionTray();
+      return;
+    }
+
+    const update = () => {
+      const remainingMs = effectiveOutTime(session) - serverNow();
+      showSessionTray({
+        remaining: formatRemaining(remainingMs),
+        endingSoon: remainingMs <= ENDING_SOON_MINUTES * 60 * 1000
+      });
+    };
+
+    update();
+    const interval = setInterval(update, 1000);
+    return () => clearInterval(interval);
+  }, [session]);
+
+  return null;
+}
+
+/**
+ * Invisible component that puts the session timer and quick actions in the system tray
+ */
+function SessionTray({ session, deviceId, userId }) {
+  // Run the quick actions picked from the tray menu
+  useEffect(() => {
+    const showSessionCard = async () => {
+      await setWindowMode(WINDOW_MODE.FULL);
+      try {
+        await neuWindow.show();
+        await neuWindow.focus();
+      } catch (error) {
+        console.error('Error bringing the client to the front:', error);
+      }
+    };
+
+    return onTrayAction(async (action) => {
+      console.log('Tray action:', action);
+
+      switch (action) {
+        case TRAY_ACTION.EXTEND:
+        case TRAY_ACTION.SNACKS:
+          await showSessionCard();
+          break;
+        case TRAY_ACTION.CALL_STAFF:
+          try {
+            await callStaff(deviceId, {
+              sessionId: session ? session.id : null,
+              userId,
+              reason: 'Called from the tray'
+            });
+            await os.showNotification('Staff called', 'Someone from the counter will be with you shortly.');
+          } catch (error) {
+            console.error('Error calling staff:', error);
+          }
+          break;
+        case TRAY_ACTION.LOCK:
+          window.dispatchEvent(new CustomEvent('request-privacy-lock'));
+          break;
+        default:
+          break;
+      }
+    });
+  }, [deviceId, userId, session]);
+
+  // Nothing running (or logged out): leave only the idle entry in the tray
+  useEffect(() => {
+    if (!session || !session.id) {
+      clearSessionTray();
+    }
+  }, [session]);
+
+  useEffect(() => () => clearSessionTray(), []);
+
+  if (!session || !session.id) return null;
+
+  return <SessionTrayTimer key={session.id} session={session} />;
+}
+
+export default SessionTray;
@@ -1,49 +1,86 @@
-import React, { useState, useEffect } from 'react';
-import { Card, CardContent, CardDescription, CardHeader, CardTitle } from './ui/card';
+import React, { useState } from 'react';
+import { Card, CardContent, CardDescription, CardFooter, CardHeader, CardTitle } from './ui/card';
+import { Button } from './ui/button';
 import { useRealtimePb } from '@/hooks/useRealtimePb';
-import { useCollection } from '@/hooks/useCollection';
+import { isOpenStatus } from '@/lib/session/lifecycle';
+import { ORDER_STATUS, cartTotal, placeSnackOrder } from '@/lib/session/snackOrders';
 
 /**
- * Component for displaying available snacks information
+ * Component for listing the current session's snack orders with live status
  */
-function SnacksInfo() {
-  const [snacks, setSnacks] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+function SnackOrders({ sessionId }) {
+  const { data: orders } = useRealtimePb('snack_orders', `session = "${sessionId}"`);
 
-  // Use the collection hook to fetch snacks data
-  const { getList } = useCollection('snacks');
+  // The subscription receives every order, keep only this session's
+  const sessionOrders = orders.filter(order => order.session === sessionId);
 
-  // Fetch snacks data on component mount
-  useEffect(() => {
-    const fetchSnacks = async () => {
-      setLoading(true);
-      try {
-        // Fetch snacks from snacks collection
-        const snacksItems = await getList(
-          1,
-          50,
-          '-created',
-          'status = "Available" && quantity > 0'
-        );
+  if (sessionOrders.length === 0) return null;
 
-        if (snacksItems && snacksItems.length > 0) {
-          setSnacks(snacksItems);
-        } else {
-          setSnacks([]);
-        }
-        setError(null);
-      } catch (err) {
-        console.error('Error fetching snacks:', err);
-        setError('Failed to load snacks information');
-        setSnacks([]);
-      } finally {
-        setLoading(false);
-      }
-    };
+  return (
+    <div className="space-y-2">
+      <h3 className="text-lg font-semibold">Your Orders</h3>
+      {sessionOrders.map((order) => (
+        <div key={order.id} className="flex justify-between items-center p-2 rounded-md border">
+          <div className="text-sm">
+            {(order.items || []).map(item => `${item.quantity} × ${item.name}`).join(', ')}
+          </div>
+          <div className="text-right">
+            <div className="font-bold">₹{(order.total || 0).toFixed(2)}</div>
+            <div className={order.status === ORDER_STATUS.DELIVERED ? 'text-sm text-green-500' : 'text-sm text-muted-foreground'}>
+              {order.status}
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Component for displaying available snacks and ordering them to the current session
+ */
+function SnacksInfo({ session }) {
+  const [cart, setCart] = useState({});
+  const [placingOrder, setPlacingOrder] = useState(false);
+  const [orderError, setOrderError] = useState(null);
+
+  // Live stock: quantities update as other PCs and the counter sell items
+  const { data: snackRecords, loading, error } = useRealtimePb(
+    'snacks',
+    'status = "Available" && quantity > 0'
+  );
 
-    fetchSnacks();
-  }, [getList]);
+  // Updates arrive for every snack, so re-apply the filter locally
+  const snacks = snackRecords.filter(snack => snack.status === 'Available' && snack.quantity > 0);
+  const canOrder = Boolean(session && session.id && isOpenStatus(session.status));
+
+  const cartLines = snacks
+    .filter(snack => cart[snack.id] > 0)
+    .map(snack => ({ snack, quantity: Math.min(cart[snack.id], snack.quantity) }));
+  const total = cartTotal(cartLines);
+
+  // Change the quantity of a snack in the cart, within the stock available
+  const changeQuantity = (snack, delta) => {
+    setCart(current => {
+      const quantity = Math.max(0, Math.min((current[snack.id] || 0) + delta, snack.quantity));
+      return { ...current, [snack.id]: quantity };
+    });
+  };
+
+  // Place the cart as an order on the current session
+  const submitOrder = async () => {
+    setPlacingOrder(true);
+    setOrderError(null);
+    try {
+      await placeSnackOrder(session, cartLines);
+      setCart({});
+    } catch (err) {
+      console.error('Error placing snack order:', err);
+      setOrderError(err.name === 'SnackOrderError' ? err.message : 'Failed to place order');
+    } finally {
+      setPlacingOrder(false);
+    }
+  };
 
   // Group snacks by type (Eatable, Drinkable)
   const groupedSnacks = snacks.reduce((groups, snack) => {
@@ -86,8 +123,31 @@ function SnacksInfo() {
                           {snack.location && <span> • {snack.location}</span>}
                         </div>
                       </div>
-                      <div className="font-bold">
-                        ₹{snack.selling_price ? snack.selling_price.toFixed(2) : '0.00'}
+                      <div className="flex items-center gap-2">
+                        <div className="font-bold">
+                          ₹{snack.selling_price ? snack.selling_price.toFixed(2) : '0.00'}
+                        </div>
+                        {canOrder && (
+                          <>
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => changeQuantity(snack, -1)}
+                              disabled={!cart[snack.id]}
+                            >
+                              -
+                            </Button>
+                            <span className="w-6 text-center">{cart[snack.id] || 0}</span>
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => changeQuantity(snack, 1)}
+                              disabled={(cart[snack.id] || 0) >= snack.quantity}
+                            >
+                              +
+                            </Button>
+                          </>
+                        )}
                       </div>
                     </div>
                   ))}
@@ -96,7 +156,24 @@ function SnacksInfo() {
             ))}
           </div>
         )}
+
+        {canOrder && (
+          <div className="mt-6">
+            <SnackOrders sessionId={session.id} />
+          </div>
+        )}
       </CardContent>
+      {canOrder && cartLines.length > 0 && (
+        <CardFooter className="flex justify-between items-center">
+          <div>
+            <div className="font-bold">Cart: ₹{total.toFixed(2)}</div>
+            {orderError && <div className="text-sm text-destructive">{orderError}</div>}
+          </div>
+          <Button onClick={submitOrder} disabled={placingOrder}>
+            {placingOrder ? 'Placing order...' : 'Place Order'}
+          </Button>
+        </CardFooter>
+      )}
     </Card>
   );
 }
@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Button } from './ui/button';
+import { pbclient } from '@/lib/pocketbase/pb';
+import { useRealtimePb } from '@/hooks/useRealtimePb';
+import {
+  MESSAGE_PRIORITY,
+  acknowledgeMessage,
+  fetchReadMessageIds,
+  isMessageForDevice,
+  messagesFilter,
+  sortMessages
+} from '@/lib/device/messages';
+
+const PRIORITY_STYLES = {
+  [MESSAGE_PRIORITY.LOW]: 'bg-slate-600',
+  [MESSAGE_PRIORITY.NORMAL]: 'bg-yellow-500',
+  [MESSAGE_PRIORITY.HIGH]: 'bg-orange-600',
+  [MESSAGE_PRIORITY.URGENT]: 'bg-red-600'
+};
+
+/**
+ * Component that shows the messages sent to a device until they are acknowledged
+ * Full-screen messages take over the screen one at a time; the rest stack as toasts
+ */
+function MessageFeed({ device, userId }) {
+  // null until loaded, so nothing already acknowledged flashes up or notifies
+  const [readIds, setReadIds] = useState(null);
+  const [localMessages, setLocalMessages] = useState([]);
+  const notifiedRef = useRef(new Set());
+
+  // Subscribe to messages addressed to this device
+  const { data: messages } = useRealtimePb('messages', messagesFilter(device));
+
+  // Load the messages this device has already acknowledged
+  useEffect(() => {
+    setReadIds(null);
+    fetchReadMessageIds(device.id)
+      .then(setReadIds)
+      .catch(error => {
+        console.error('Error fetching read messages:', error);
+        setReadIds(new Set());
+      });
+  }, [device.id]);
+
+  // Messages sent as a `message` command are shown the same way, without a read record
+  useEffect(() => {
+    const handleStaffMessage = (event) => {
+      setLocalMessages(current => [...current, { ...event.detail, local: true }]);
+    };
+
+    window.addEventListener('staff-message', handleStaffMessage);
+    return () => window.removeEventListener('staff-message', handleStaffMessage);
+  }, []);
+
+  const unread = readIds ? sortMessages([
+    ...messages.filter(message => isMessageForDevice(message, device) && !readIds.has(message.id)),
+    ...localMessages
+  ]) : [];
+
+  // Raise an OS notification for important messages as they arrive, once per message
+  useEffect(() => {
+    unread
+      .filter(message => message.priority === MESSAGE_PRIORITY.HIGH || message.priority === MESSAGE_PRIORITY.URGENT)
+      .filter(message => !notifiedRef.current.has(message.id))
+      .forEach(message => {
+        notifiedRef.current.add(message.id);
+        if (window.Neutralino && window.Neutralino.os && window.Neutralino.os.showNotification) {
+          window.Neutralino.os.showNotification(message.title || 'Message from staff', message.body)
+            .catch(error => console.error('Error showing system notification:', error));
+        }
+      });
+  }, [unread]);
+
+  // Mark a message as read on the server, and hide it
+  const acknowledge = useCallback(async (message) => {
+    if (message.local) {
+      setLocalMessages(current => current.filter(item => item.id !== message.id));
+      return;
+    }
+
+    setReadIds(current => new Set(current || []).add(message.id));
+    try {
+      await acknowledgeMessage(message, device.id, userId);
+      console.log('Message acknowledged:', message.id);
+    } catch (error) {
+      console.error('Error acknowledging message:', error);
+    }
+  }, [device.id, userId]);
+
+  const takeover = unread.find(message => message.fullscreen);
+  const toasts = unread.filter(message => !message.fullscreen);
+
+  return (
+    <>
+      {takeover && (
+        <div className={`fixed top-0 left-0 w-full h-full flex flex-col items-center justify-center text-white z-50 ${PRIORITY_STYLES[takeover.priority] || PRIORITY_STYLES[MESSAGE_PRIORITY.NORMAL]}`}>
+          {takeover.title && <div className="text-4xl font-bold mb-4">{takeover.title}</div>}
+          <div className="text-2xl mb-8 max-w-3xl text-center whitespace-pre-wrap">{takeover.body}</div>
+          <Button variant="secondary" size="lg" onClick={() => acknowledge(takeover)}>
+            OK
+          </Button>
+        </div>
+      )}
+
+      {toasts.length > 0 && (
+        <div className="fixed top-4 right-4 z-50 max-w-md space-y-2">
+          {toasts.map(message => (
+            <div
+              key={message.id}
+              className={`text-white p-4 rounded-md shadow-lg ${PRIORITY_STYLES[message.priority] || PRIORITY_STYLES[MESSAGE_PRIORITY.NORMAL]}`}
+            >
+              {message.title && <div className="font-bold">{message.title}</div>}
+              <div className="whitespace-pre-wrap">{message.body}</div>
+              <div className="flex justify-end mt-2">
+                <Button size="sm" variant="secondary" onClick={() => acknowledge(message)}>
+                  Got it
+                </Button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
+/**
+ * Component that shows staff broadcast and direct messages on this PC
+ */
+function StaffMessages({ deviceId, userId }) {
+  const [device, setDevice] = useState(null);
+
+  // The device's group decides which group messages it receives
+  useEffect(() => {
+    if (!deviceId) {
+      setDevice(null);
+      return;
+    }
+
+    pbclient.collection('devices').getOne(deviceId)
+      .then(setDevice)
+      .catch(error => console.error('Error fetching device for messages:', error));
+  }, [deviceId]);
+
+  if (!device) return null;
+
+  return <MessageFeed device={device} userId={userId} />;
+}
+
+export default StaffMessages;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { app } from '@neutralinojs/lib';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Label } from './ui/label';
+import { MAINTENANCE_MINUTES, UNLOCK_PURPOSE, loadOfflineAllowList, recordUnlock, verifyStaffPin } from '@/lib/device/staffUnlock';
+import { serverNow, serverTimeMs } from '@/lib/session/serverTime';
+
+const CORNER_TAPS = 5; // Taps on the top-left corner that open the PIN prompt
+const SECRET_KEY = 'F10'; // Or press this key three times
+const GESTURE_WINDOW_MS = 3000;
+
+/**
+ * Component that lets staff unlock the PC with a PIN
+ * A hidden gesture (five taps in the top-left corner, or F10 pressed three times) opens the prompt.
+ * A correct PIN opens a maintenance window that relocks by itself, or closes the app when
+ * the prompt was opened by closing the window.
+ */
+const StaffUnlock = ({ deviceId, onUnlock, onRelock }) => {
+  const [purpose, setPurpose] = useState(null);
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [unlockedUntil, setUnlockedUntil] = useState(null);
+  const [remainingSeconds, setRemainingSeconds] = useState(0);
+  const gestureRef = useRef({ taps: [], keys: [] });
+
+  const openPrompt = useCallback((nextPurpose) => {
+    setPurpose(nextPurpose);
+    setPin('');
+    setError('');
+  }, []);
+
+  // Count gesture events inside the gesture window, opening the prompt when there are enough
+  const registerGesture = useCallback((kind, needed) => {
+    const now = Date.now();
+    const recent = gestureRef.current[kind].filter(time => now - time < GESTURE_WINDOW_MS);
+    recent.push(now);
+    gestureRef.current[kind] = recent;
+
+    if (recent.length >= needed) {
+      gestureRef.current[kind] = [];
+      openPrompt(UNLOCK_PURPOSE.MAINTENANCE);
+    }
+  }, [openPrompt]);
+
+  // Fetch the offline allow-list up front, so staff can unlock before the server has ever been asked
+  useEffect(() => {
+    if (deviceId) {
+      loadOfflineAllowList(deviceId);
+    }
+  }, [deviceId]);
+
+  // Listen for the key sequence
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === SECRET_KEY) {
+        e.preventDefault();
+        registerGesture('keys', 3);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [registerGesture]);
+
+  // Closing the app asks for a PIN unless a maintenance window is open
+  useEffect(() => {
+    const handleUnlockRequest = (event) => {
+      const requested = (event.detail && event.detail.purpose) || UNLOCK_PURPOSE.MAINTENANCE;
+
+      if (requested === UNLOCK_PURPOSE.EXIT && unlockedUntil && unlockedUntil > serverNow()) {
+        console.log('Closing app during maintenance window');
+        app.exit();
+        return;
+      }
+
+      openPrompt(requested);
+    };
+
+    window.addEventListener('request-staff-unlock', handleUnlockRequest);
+    return () => window.removeEventListener('request-staff-unlock', handleUnlockRequest);
+  }, [unlockedUntil, openPrompt]);
+
+  // Relock when the maintenance window runs out
+  useEffect(() => {
+    if (!unlockedUntil) {
+      return;
+    }
+
+    const tick = () => {
+      const seconds = Math.max(0, Math.ceil((unlockedUntil - serverNow()) / 1000));
+      setRemainingSeconds(seconds);
+
+      if (seconds === 0) {
+        console.log('Maintenance window over, relocking');
+        setUnlockedUntil(null);
+        if (onRelock) onRelock();
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [unlockedUntil, onRelock]);
+
+  const submitPin = async () => {
+    setChecking(true);
+    setError('');
+    try {
+      const staff = await verifyStaffPin(pin, deviceId);
+      if (!staff) {
+        setError('Incorrect PIN');
+        setPin('');
+        return;
+      }
+
+      console.log(`Staff unlock by ${staff.name} (${purpose})`);
+
+      if (purpose === UNLOCK_PURPOSE.EXIT) {
+        await recordUnlock(deviceId, staff, purpose);
+        app.exit();
+        return;
+      }
+
+      const until = new Date(serverTimeMs() + MAINTENANCE_MINUTES * 60 * 1000);
+      await recordUnlock(deviceId, staff, purpose, until);
+      setUnlockedUntil(until);
+      setPurpose(null);
+      if (onUnlock) onUnlock(staff, until);
+    } catch (err) {
+      console.error('Error checking staff PIN:', err);
+      setError(err.message || 'Could not check PIN');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const relockNow = () => {
+    setUnlockedUntil(null);
+    if (onRelock) onRelock();
+  };
+
+  return (
+    <>
+      {/* Hidden corner hotspot */}
+      <div
+        className="fixed top-0 left-0 w-10 h-10 z-50"
+        onClick={() => registerGesture('taps', CORNER_TAPS)}
+      />
+
+      {unlockedUntil && (
+        <div className="fixed bottom-4 left-4 z-50 bg-orange-600 text-white p-3 rounded-md shadow-lg flex items-center gap-4">
+          <span>
+            Maintenance mode: relocks in {Math.floor(remainingSeconds / 60)}:{(remainingSeconds % 60).toString().padStart(2, '0')}
+          </span>
+          <Button size="sm" variant="secondary" onClick={relockNow}>
+            Lock now
+          </Button>
+        </div>
+      )}
+
+      {purpose && (
+        <div className="fixed top-0 left-0 w-full h-full flex items-center justify-center bg-black/80 z-50">
+          <div className="bg-background p-6 rounded-lg shadow-lg w-full max-w-xs space-y-4">
+            <Label htmlFor="staff-pin">
+              {purpose === UNLOCK_PURPOSE.EXIT ? 'Staff PIN to close the app' : 'Staff PIN'}
+            </Label>
+            <Input
+              id="staff-pin"
+              type="password"
+              inputMode="numeric"
+              autoFocus
+              value={pin}
+              onChange={(e) => setPin(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && pin) submitPin();
+              }}
+            />
+            {error && <div className="text-sm text-destructive">{error}</div>}
+            <div className="flex justify-between">
+              <Button variant="outline" onClick={() => setPurpose(null)} disabled={checking}>
+                Cancel
+              </Button>
+              <Button onClick={submitPin} disabled={checking || !pin}>
+                {checking ? 'Checking...' : 'Unlock'}
+              </Button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default StaffUnlock;
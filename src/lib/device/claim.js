@@ -0,0 +1,198 @@
+import { pbclient } from '@/lib/pocketbase/pb';
+import { loadMachineConfig, localDeviceId } from '@/lib/device/identity';
+import { COMMAND_TYPE, sendCommand } from '@/lib/device/commands';
+import { queuedCreate } from '@/lib/session/offlineQueue';
+import { moveSession, openSessionFilter } from '@/lib/session/lifecycle';
+
+/**
+ * Seat claim.
+ * A login takes the device this PC is registered as, never some other
+ * Available device. The claim is a compare-and-set: the devices update rule
+ * on the server (`status != "In-Use" || client = @request.auth.id`)
+ * only lets the write through while the seat is free or already held by the
+ * same customer. The write also carries a random claim_id that is read
+ * back, so a login that lost a race for the seat finds out before going on.
+ *
+ * A customer already logged in on another seat is handled by the device
+ * group's concurrent_login_policy: block the new login (the default), move
+ * the open session here, or log the other seat out. A block is decided
+ * before the claim; a move or logout only happens once the seat is held.
+ * Each decision is written to login_conflicts.
+ */
+
+export const DEVICE_STATUS = {
+  AVAILABLE: 'Available',
+  IN_USE: 'In-Use'
+};
+
+export const CONCURRENT_LOGIN_POLICY = {
+  BLOCK: 'block',
+  MOVE: 'move',
+  FORCE_LOGOUT: 'force-logout'
+};
+
+export class DeviceClaimError extends Error {
+  constructor(message, device = null) {
+    super(message);
+    this.name = 'DeviceClaimError';
+    this.device = device;
+  }
+}
+
+function generateClaimId() {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return Date.now().toString(16) + Math.random().toString(16).slice(2, 14);
+}
+
+/**
+ * Check if a device is held by a different customer
+ * @param {Object} device - devices record
+ * @param {string} clientId - Customer claiming the seat
+ * @returns {boolean}
+ */
+export function isSeatTaken(device, clientId) {
+  return Boolean(device)
+    && device.status === DEVICE_STATUS.IN_USE
+    && Boolean(device.client)
+    && device.client !== clientId;
+}
+
+/**
+ * Other seats a customer holds right now
+ * @param {string} clientId - clients record ID
+ * @param {string} deviceId - This PC's device ID
+ * @returns {Promise<Array>} - devices records
+ */
+export async function findOtherSeats(clientId, deviceId) {
+  return pbclient.collection('devices').getFullList({
+    filter: `client = "${clientId}" && status = "${DEVICE_STATUS.IN_USE}" && id != "${deviceId}"`
+  });
+}
+
+async function concurrentLoginPolicy(device) {
+  if (!device.group) return CONCURRENT_LOGIN_POLICY.BLOCK;
+
+  try {
+    const group = await pbclient.collection('groups').getOne(device.group);
+    const policy = group.concurrent_login_policy;
+    return Object.values(CONCURRENT_LOGIN_POLICY).includes(policy) ? policy : CONCURRENT_LOGIN_POLICY.BLOCK;
+  } catch (error) {
+    console.error('Error fetching concurrent login policy:', error);
+    return CONCURRENT_LOGIN_POLICY.BLOCK;
+  }
+}
+
+async function logConflict(clientId, device, others, policy, movedSession) {
+  try {
+    await queuedCreate('login_conflicts', {
+      client: clientId,
+      device: device.id,
+      other_devices: others.map(other => other.id),
+      policy,
+      moved_session: movedSession ? movedSession.id : ''
+    });
+  } catch (error) {
+    console.error('Error logging concurrent login:', error);
+  }
+}
+
+// The staff policy for a customer still logged in on other seats; a blocked login stops before claiming anything
+async function checkConcurrentLogin(device, clientId) {
+  const others = await findOtherSeats(clientId, device.id);
+  if (others.length === 0) return { others, policy: null };
+
+  const policy = await concurrentLoginPolicy(device);
+  const names = others.map(other => other.name).join(', ');
+  console.warn(`Client ${clientId} is already logged in on ${names}, policy: ${policy}`);
+
+  if (policy === CONCURRENT_LOGIN_POLICY.BLOCK) {
+    await logConflict(clientId, device, others, policy, null);
+    throw new DeviceClaimError(`You are already logged in on ${names}. Log out there first, or ask staff for help.`, others[0]);
+  }
+
+  return { others, policy };
+}
+
+// Carry out the policy once this seat is held: bring the session over, then log the other seats out
+async function applyConcurrentLogin(device, clientId, { others, policy }) {
+  if (others.length === 0) return;
+
+  // The newest open session follows the customer; the other seat then has nothing left to close
+  let moved = null;
+  if (policy === CONCURRENT_LOGIN_POLICY.MOVE) {
+    const sessions = await pbclient.collection('sessions').getList(1, 1, {
+      filter: others.map(other => `(${openSessionFilter(other.id)})`).join(' || '),
+      sort: '-created'
+    });
+    if (sessions.items.length > 0) {
+      moved = await moveSession(sessions.items[0], device.id);
+    }
+  }
+
+  await Promise.all(others.map(other => sendCommand(other.id, COMMAND_TYPE.LOGOUT, { reason: 'concurrent-login', device: device.id })
+    .catch(error => console.error(`Error logging out ${other.name}:`, error))));
+  await logConflict(clientId, device, others, policy, moved);
+}
+
+/**
+ * Claim this PC's device for a customer
+ * @param {Object} params - Claim parameters
+ * @param {string} params.clientId - clients record ID
+ * @returns {Promise<Object>} - Claimed device record
+ * @throws {DeviceClaimError} - If this PC has no device, the seat is taken, or the policy blocks a second seat
+ */
+export async function claimDevice({ clientId }) {
+  const deviceId = await localDeviceId();
+  if (!deviceId) {
+    throw new DeviceClaimError('This PC is not registered to a seat yet. Please ask staff to set it up.');
+  }
+
+  const collection = pbclient.collection('devices');
+  const device = await collection.getOne(deviceId);
+
+  const config = await loadMachineConfig();
+  if (device.machine_id && config && config.machineId && device.machine_id !== config.machineId) {
+    throw new DeviceClaimError(`${device.name} is registered to another PC. Please ask staff for help.`, device);
+  }
+
+  if (isSeatTaken(device, clientId)) {
+    throw new DeviceClaimError(`${device.name} is already in use by another customer.`, device);
+  }
+
+  const concurrent = await checkConcurrentLogin(device, clientId);
+
+  const claimId = generateClaimId();
+  try {
+    await collection.update(deviceId, {
+      status: DEVICE_STATUS.IN_USE,
+      client: clientId,
+      claim_id: claimId
+    });
+  } catch (error) {
+    // The update rule hides a device held by someone else
+    if (error.status === 403 || error.status === 404) {
+      throw new DeviceClaimError(`${device.name} is already in use by another customer.`, device);
+    }
+    throw error;
+  }
+
+  const claimed = await collection.getOne(deviceId);
+  if (claimed.claim_id !== claimId || claimed.client !== clientId) {
+    throw new DeviceClaimError(`${device.name} was just taken by another login.`, claimed);
+  }
+
+  // Only a held seat takes the session from the other one; if that fails, give the seat back
+  try {
+    await applyConcurrentLogin(claimed, clientId, concurrent);
+  } catch (error) {
+    console.error('Error moving the session to this seat:', error);
+    await collection.update(deviceId, { status: DEVICE_STATUS.AVAILABLE, client: '', claim_id: '' })
+      .catch(releaseError => console.error('Error releasing seat:', releaseError));
+    throw new DeviceClaimError('Your session could not be moved to this PC. Please ask staff for help.', claimed);
+  }
+
+  console.log(`Claimed device ${claimed.name} for client ${clientId}`);
+  return claimed;
+}
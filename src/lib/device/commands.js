@@ -0,0 +1,190 @@
+import { pbclient } from '@/lib/pocketbase/pb';
+import { serverNow } from '@/lib/session/serverTime';
+
+/**
+ * Remote commands.
+ * Staff create device_commands records aimed at a device; the client runs
+ * each one exactly once through the handler registered for its type and
+ * writes back the outcome (status, output, executed_at) so the admin side
+ * can see what happened. Commands past their expires_at (or older than
+ * STALE_AFTER_MS when none is set) are marked Expired instead of run, so a
+ * PC that was off does not replay a pile of old actions when it comes back.
+ */
+
+export const COMMAND_TYPE = {
+  LOCK: 'lock',
+  UNLOCK: 'unlock',
+  MESSAGE: 'message',
+  SCREENSHOT: 'screenshot',
+  LOGOUT: 'logout',
+  RESTART_CLIENT: 'restart-client',
+  EXTEND: 'extend'
+};
+
+export const COMMAND_STATUS = {
+  PENDING: 'Pending',
+  RUNNING: 'Running',
+  DONE: 'Done',
+  FAILED: 'Failed',
+  EXPIRED: 'Expired'
+};
+
+const STALE_AFTER_MS = 5 * 60 * 1000;
+const HANDLED_STORAGE_KEY = 'handled_commands';
+const HANDLED_LIMIT = 200;
+
+const handlers = {};
+const inFlight = new Set();
+
+function loadHandled() {
+  try {
+    return JSON.parse(localStorage.getItem(HANDLED_STORAGE_KEY) || '[]');
+  } catch (error) {
+    return [];
+  }
+}
+
+function markHandled(id) {
+  const handled = loadHandled().filter(handledId => handledId !== id);
+  handled.push(id);
+  localStorage.setItem(HANDLED_STORAGE_KEY, JSON.stringify(handled.slice(-HANDLED_LIMIT)));
+}
+
+/**
+ * Register the function that runs a command type.
+ * A handler receives the command's payload and the command record, and
+ * returns the output to report (or throws to report a failure).
+ * @param {string} type - Command type (see COMMAND_TYPE)
+ * @param {Function} handler - Async handler
+ * @returns {Function} - Unregisters the handler
+ */
+export function registerCommandHandler(type, handler) {
+  handlers[type] = handler;
+
+  return () => {
+    if (handlers[type] === handler) {
+      delete handlers[type];
+    }
+  };
+}
+
+/**
+ * Check if a command is too old to run
+ * @param {Object} command - device_commands record
+ * @param {Date} now - Current time (server-corrected by default)
+ * @returns {boolean}
+ */
+export function isStaleCommand(command, now = serverNow()) {
+  if (command.expires_at) {
+    return new Date(command.expires_at) <= now;
+  }
+  return now - new Date(command.created) > STALE_AFTER_MS;
+}
+
+/**
+ * PocketBase filter for a device's commands waiting to run
+ * @param {string} deviceId - Device ID
+ * @returns {string} - Filter query
+ */
+export function pendingCommandsFilter(deviceId) {
+  return `device = "${deviceId}" && status = "${COMMAND_STATUS.PENDING}"`;
+}
+
+/**
+ * Queue a command for another device
+ * @param {string} deviceId - Target device ID
+ * @param {string} type - Command type (see COMMAND_TYPE)
+ * @param {Object} payload - Command payload
+ * @returns {Promise<Object>} - Created device_commands record
+ */
+export async function sendCommand(deviceId, type, payload = {}) {
+  return pbclient.collection('device_commands').create({
+    device: deviceId,
+    type,
+    payload,
+    status: COMMAND_STATUS.PENDING
+  });
+}
+
+/**
+ * Fetch a device's commands waiting to run, oldest first
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Array>} - device_commands records
+ */
+export async function fetchPendingCommands(deviceId) {
+  return pbclient.collection('device_commands').getFullList({
+    filter: pendingCommandsFilter(deviceId),
+    sort: 'created'
+  });
+}
+
+function formatOutput(output) {
+  if (output === undefined || output === null) return '';
+  return typeof output === 'string' ? output : JSON.stringify(output);
+}
+
+/**
+ * Run a command once and report the outcome on its record.
+ * Commands already handled on this PC, or no longer Pending on the server,
+ * are skipped, so the same command arriving through realtime and the poll
+ * only runs once.
+ * @param {Object} command - device_commands record
+ * @returns {Promise<string|null>} - Final status, or null if skipped
+ */
+export async function executeCommand(command) {
+  if (inFlight.has(command.id) || loadHandled().includes(command.id)) {
+    return null;
+  }
+
+  inFlight.add(command.id);
+  const collection = pbclient.collection('device_commands');
+
+  try {
+    const current = await collection.getOne(command.id);
+    if (current.status !== COMMAND_STATUS.PENDING) {
+      markHandled(command.id);
+      return null;
+    }
+
+    if (isStaleCommand(current)) {
+      console.log(`Skipping stale ${current.type} command ${current.id}`);
+      await collection.update(current.id, { status: COMMAND_STATUS.EXPIRED, executed_at: new Date().toISOString() });
+      markHandled(current.id);
+      return COMMAND_STATUS.EXPIRED;
+    }
+
+    const handler = handlers[current.type];
+    if (!handler) {
+      await collection.update(current.id, {
+        status: COMMAND_STATUS.FAILED,
+        output: `No handler for command type "${current.type}"`,
+        executed_at: new Date().toISOString()
+      });
+      markHandled(current.id);
+      return COMMAND_STATUS.FAILED;
+    }
+
+    // Claim the command before running it, so a restart mid-command does not run it again
+    await collection.update(current.id, { status: COMMAND_STATUS.RUNNING });
+    markHandled(current.id);
+
+    let status = COMMAND_STATUS.DONE;
+    let output = '';
+    try {
+      console.log(`Running ${current.type} command ${current.id}`);
+      output = formatOutput(await handler(current.payload || {}, current));
+    } catch (error) {
+      console.error(`Error running ${current.type} command:`, error);
+      status = COMMAND_STATUS.FAILED;
+      output = error.message || 'Unknown error';
+    }
+
+    await collection.update(current.id, { status, output, executed_at: new Date().toISOString() });
+    return status;
+  } catch (error) {
+    console.error(`Error handling command ${command.id}:`, error);
+    return null;
+  } finally {
+    inFlight.delete(command.id);
+  }
+}
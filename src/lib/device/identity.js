@@ -0,0 +1,327 @@
+import { computer, filesystem, os } from '@neutralinojs/lib';
+import { pbclient } from '@/lib/pocketbase/pb';
+
+/**
+ * Machine identity.
+ * Works out which physical PC the client runs on (machine id, MAC, hostname
+ * and LAN IP) and which `devices` record it is bound to. The binding is kept
+ * in a config file next to the app instead of webview storage, so clearing
+ * localStorage does not make the PC forget its seat, and the device record
+ * carries the machine_id so two PCs cannot claim the same device. Binding
+ * is a compare-and-set: the devices update rule on the server only lets a
+ * write that sets machine_id through while the device is unbound or already
+ * bound to this PC (`@request.body.machine_id:isset = false || machine_id = ""
+ * || machine_id = @request.body.machine_id`), and the binding is read back
+ * before it is trusted.
+ */
+
+const CONFIG_FILE = 'machine.json';
+const ZERO_MAC = '00:00:00:00:00:00';
+
+export class DeviceBindingError extends Error {
+  constructor(message, device = null) {
+    super(message);
+    this.name = 'DeviceBindingError';
+    this.device = device;
+  }
+}
+
+function configDir() {
+  return `${window.NL_PATH || '.'}/.data`;
+}
+
+function configPath() {
+  return `${configDir()}/${CONFIG_FILE}`;
+}
+
+function generateMachineId() {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return Date.now().toString(16) + Math.random().toString(16).slice(2, 14);
+}
+
+async function run(command) {
+  try {
+    const result = await os.execCommand(command);
+    return result.exitCode === 0 ? (result.stdOut || '').trim() : '';
+  } catch (error) {
+    console.error(`Error running "${command}":`, error);
+    return '';
+  }
+}
+
+async function platform() {
+  if (window.NL_OS) {
+    return window.NL_OS.toLowerCase();
+  }
+
+  try {
+    const info = await computer.getOSInfo();
+    return info.name.toLowerCase();
+  } catch (error) {
+    return navigator.platform.toLowerCase();
+  }
+}
+
+/**
+ * Read the machine configuration file
+ * @returns {Promise<Object|null>} - Saved config ({machineId, deviceId, deviceName, deviceType, boundAt})
+ */
+export async function loadMachineConfig() {
+  try {
+    return JSON.parse(await filesystem.readFile(configPath()));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * The device this PC is registered as, from the machine config or localStorage
+ * @returns {Promise<string|null>} - Device ID
+ */
+export async function localDeviceId() {
+  const config = await loadMachineConfig();
+  if (config && config.deviceId) {
+    return config.deviceId;
+  }
+
+  try {
+    const saved = JSON.parse(localStorage.getItem('device_info') || 'null');
+    return (saved && saved.deviceId) || null;
+  } catch (error) {
+    console.error('Error parsing saved device info:', error);
+    return null;
+  }
+}
+
+/**
+ * Write the machine configuration file
+ * @param {Object} config - Config to save
+ */
+export async function saveMachineConfig(config) {
+  try {
+    await filesystem.createDirectory(configDir());
+  } catch (dirError) {
+    // Directory already exists
+  }
+  await filesystem.writeFile(configPath(), JSON.stringify(config, null, 2));
+}
+
+async function readMachineId(osName) {
+  let output = '';
+
+  if (osName.includes('windows')) {
+    output = await run('reg query HKLM\\SOFTWARE\\Microsoft\\Cryptography /v MachineGuid');
+    const match = output.match(/MachineGuid\s+REG_SZ\s+(\S+)/i);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  if (osName.includes('darwin')) {
+    output = await run('ioreg -rd1 -c IOPlatformExpertDevice');
+    const match = output.match(/"IOPlatformUUID"\s*=\s*"([^"]+)"/);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  output = await run('cat /etc/machine-id');
+  return output || null;
+}
+
+async function readMacAddress(osName) {
+  let output = '';
+
+  if (osName.includes('windows')) {
+    output = await run('getmac /fo csv /nh');
+  } else if (osName.includes('darwin')) {
+    output = await run('ifconfig en0 ether');
+  } else {
+    output = await run('cat /sys/class/net/*/address');
+  }
+
+  const macs = (output.match(/([0-9a-f]{2}[:-]){5}[0-9a-f]{2}/gi) || [])
+    .map(mac => mac.replace(/-/g, ':').toLowerCase())
+    .filter(mac => mac !== ZERO_MAC);
+
+  return macs[0] || ZERO_MAC;
+}
+
+async function readIpAddress(osName) {
+  if (osName.includes('windows')) {
+    const output = await run('ipconfig');
+    const match = output.match(/IPv4[^:]*:\s*([\d.]+)/);
+    return match ? match[1] : null;
+  }
+
+  const output = osName.includes('darwin')
+    ? await run('ipconfig getifaddr en0')
+    : await run('hostname -I');
+  const address = output.split(/\s+/).find(candidate => /^\d{1,3}(\.\d{1,3}){3}$/.test(candidate) && !candidate.startsWith('127.'));
+  return address || null;
+}
+
+/**
+ * Collect this PC's fingerprint.
+ * The OS machine id is used when it can be read; otherwise a generated id
+ * is kept in the machine config file so it stays stable across restarts.
+ * @returns {Promise<Object>} - Fingerprint ({machine_id, mac_address, hostname, ip_address, os})
+ */
+export async function collectFingerprint() {
+  const osName = await platform();
+  const config = await loadMachineConfig();
+
+  let machineId = (config && config.machineId) || await readMachineId(osName);
+  if (!machineId) {
+    machineId = generateMachineId();
+  }
+
+  if (!config || config.machineId !== machineId) {
+    try {
+      await saveMachineConfig({ ...(config || {}), machineId });
+    } catch (error) {
+      console.error('Error saving machine config:', error);
+    }
+  }
+
+  const hostname = (await run('hostname')) || 'Client-PC';
+
+  return {
+    machine_id: machineId,
+    mac_address: await readMacAddress(osName),
+    hostname,
+    ip_address: (await readIpAddress(osName)) || '127.0.0.1',
+    os: osName
+  };
+}
+
+/**
+ * Check if a device record is bound to a different machine
+ * @param {Object} device - devices record
+ * @param {Object} fingerprint - This PC's fingerprint
+ * @returns {boolean}
+ */
+export function isBoundElsewhere(device, fingerprint) {
+  return Boolean(device && device.machine_id && device.machine_id !== fingerprint.machine_id);
+}
+
+function rememberDevice(device, machineId) {
+  localStorage.setItem('device_info', JSON.stringify({
+    deviceId: device.id,
+    deviceName: device.name,
+    deviceType: device.type
+  }));
+
+  return saveMachineConfig({
+    machineId,
+    deviceId: device.id,
+    deviceName: device.name,
+    deviceType: device.type,
+    boundAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Bind this PC to a device record
+ * @param {Object} device - devices record
+ * @param {Object} fingerprint - This PC's fingerprint (collected if omitted)
+ * @returns {Promise<Object>} - Updated device record
+ * @throws {DeviceBindingError} - If the device is bound to another machine
+ */
+export async function bindDevice(device, fingerprint = null) {
+  const machine = fingerprint || await collectFingerprint();
+
+  if (isBoundElsewhere(device, machine)) {
+    throw new DeviceBindingError(`${device.name} is already bound to another machine`, device);
+  }
+
+  const collection = pbclient.collection('devices');
+  try {
+    await collection.update(device.id, {
+      machine_id: machine.machine_id,
+      mac_address: machine.mac_address,
+      ip_address: machine.ip_address,
+      hostname: machine.hostname
+    });
+  } catch (error) {
+    // The update rule hides a device bound to another machine
+    if (error.status === 403 || error.status === 404) {
+      throw new DeviceBindingError(`${device.name} is already bound to another machine`, device);
+    }
+    throw error;
+  }
+
+  // Another PC may have bound it between our check and our write
+  const updated = await collection.getOne(device.id);
+  if (updated.machine_id !== machine.machine_id) {
+    throw new DeviceBindingError(`${device.name} was just bound to another machine`, updated);
+  }
+
+  await rememberDevice(updated, machine.machine_id);
+  console.log(`Bound this machine to device ${updated.name}`);
+  return updated;
+}
+
+/**
+ * Work out which device this PC is at startup.
+ * Uses the device saved in the machine config (or localStorage), falling
+ * back to the device record that carries this machine's id. A saved device
+ * that has since been bound to another machine is flagged on the record
+ * with conflict_machine_id and reported as a conflict.
+ * @returns {Promise<Object>} - {status: 'bound'|'conflict'|'unbound', device, fingerprint}
+ */
+export async function resolveMachineDevice() {
+  const fingerprint = await collectFingerprint();
+  const config = await loadMachineConfig();
+
+  let savedDeviceId = config && config.deviceId;
+  if (!savedDeviceId) {
+    try {
+      const saved = JSON.parse(localStorage.getItem('device_info') || 'null');
+      savedDeviceId = saved && saved.deviceId;
+    } catch (error) {
+      console.error('Error parsing saved device info:', error);
+    }
+  }
+
+  let device = null;
+
+  if (savedDeviceId) {
+    try {
+      device = await pbclient.collection('devices').getOne(savedDeviceId);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      console.log('Saved device no longer exists:', savedDeviceId);
+    }
+  }
+
+  if (!device) {
+    try {
+      device = await pbclient.collection('devices').getFirstListItem(`machine_id = "${fingerprint.machine_id}"`);
+      console.log('Re-binding to device registered for this machine:', device.name);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      return { status: 'unbound', device: null, fingerprint };
+    }
+  }
+
+  if (!isBoundElsewhere(device, fingerprint)) {
+    try {
+      return { status: 'bound', device: await bindDevice(device, fingerprint), fingerprint };
+    } catch (error) {
+      if (!(error instanceof DeviceBindingError)) throw error;
+      // Lost the binding to another machine after all
+      device = error.device || device;
+    }
+  }
+
+  console.warn(`Device ${device.name} is bound to another machine`);
+  try {
+    await pbclient.collection('devices').update(device.id, { conflict_machine_id: fingerprint.machine_id });
+  } catch (error) {
+    console.error('Error flagging device binding conflict:', error);
+  }
+
+  // Forget the seat so nothing keeps using it until this PC is registered again
+  localStorage.removeItem('device_info');
+  await saveMachineConfig({ machineId: fingerprint.machine_id });
+  return { status: 'conflict', device, fingerprint };
+}
@@ -0,0 +1,247 @@
+import { pbclient } from '@/lib/pocketbase/pb';
+
+/**
+ * Kiosk key policy.
+ * Decides which keys reach the app while the PC is locked. A policy is an
+ * ordered list of rules and the first rule that matches a key wins.
+ *
+ * A rule is `{ keys, action, scope }`:
+ * - keys: a combo such as "Ctrl+Shift+I", "F5" or "Alt+*". Modifiers named in
+ *   the combo must be held and the others must not, except with the "*" key,
+ *   which matches any key with at least the named modifiers held.
+ * - action: "allow" or "block"
+ * - scope: "input" to only match inside app text fields, or "any" (default)
+ *
+ * Keys no rule matches are allowed. Each device group can have its own rule
+ * list in key_policies; devices without one use the global policy (no group),
+ * then DEFAULT_KEY_RULES.
+ */
+
+export const KEY_ACTION = {
+  ALLOW: 'allow',
+  BLOCK: 'block'
+};
+
+export const KEY_SCOPE = {
+  ANY: 'any',
+  INPUT: 'input'
+};
+
+// The context menu key and right-click both count as "ContextMenu"
+export const CONTEXT_MENU_KEY = 'ContextMenu';
+
+export const DEFAULT_KEY_RULES = [
+  // Editing inside our own text fields
+  ...['Ctrl+A', 'Ctrl+C', 'Ctrl+V', 'Ctrl+X', 'Ctrl+Z', 'Ctrl+Y', 'Ctrl+Shift+Z'].map(keys => ({
+    keys, action: KEY_ACTION.ALLOW, scope: KEY_SCOPE.INPUT
+  })),
+  // Form navigation
+  { keys: 'Tab', action: KEY_ACTION.ALLOW },
+  { keys: 'Shift+Tab', action: KEY_ACTION.ALLOW },
+  // Reload, devtools, fullscreen toggle, view source, find and help
+  ...['F1', 'F3', 'F5', 'F7', 'F11', 'F12', 'Ctrl+R', 'Ctrl+Shift+R', 'Ctrl+F5',
+    'Ctrl+Shift+I', 'Ctrl+Shift+J', 'Ctrl+Shift+C', 'Ctrl+U', CONTEXT_MENU_KEY, 'Shift+F10'].map(keys => ({
+    keys, action: KEY_ACTION.BLOCK
+  })),
+  // Everything else with a modifier: zoom, print, new window, Alt+Tab, Win key...
+  { keys: 'Ctrl+*', action: KEY_ACTION.BLOCK },
+  { keys: 'Alt+*', action: KEY_ACTION.BLOCK },
+  { keys: 'Meta+*', action: KEY_ACTION.BLOCK },
+  { keys: 'Meta', action: KEY_ACTION.BLOCK },
+  { keys: 'Alt', action: KEY_ACTION.BLOCK }
+];
+
+const STORAGE_KEY = 'key_policy';
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+const MODIFIER_KEYS = { Control: 'ctrl', Alt: 'alt', Shift: 'shift', Meta: 'meta', OS: 'meta' };
+
+function readSavedRules() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (Array.isArray(saved)) {
+      return saved;
+    }
+  } catch (error) {
+    console.error('Error reading saved key policy:', error);
+  }
+  return DEFAULT_KEY_RULES;
+}
+
+let rules = readSavedRules();
+
+function normalizeKey(key) {
+  if (!key) return '';
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * Parse a combo such as "Ctrl+Shift+I"
+ * @param {string} combo - Key combo
+ * @returns {{ctrl: boolean, alt: boolean, shift: boolean, meta: boolean, key: string}}
+ */
+export function parseCombo(combo) {
+  const parsed = { ctrl: false, alt: false, shift: false, meta: false, key: '' };
+
+  // "Ctrl++" is Ctrl and the plus key
+  const parts = combo.endsWith('++') ? [...combo.slice(0, -2).split('+'), '+'] : combo.split('+');
+  parts.forEach((part, index) => {
+    const name = part.trim();
+    const modifier = name.toLowerCase() === 'control' ? 'ctrl' : name.toLowerCase();
+    if (index < parts.length - 1 && MODIFIERS.includes(modifier)) {
+      parsed[modifier] = true;
+    } else {
+      parsed.key = normalizeKey(name);
+    }
+  });
+
+  return parsed;
+}
+
+function comboMatches(combo, event) {
+  const parsed = parseCombo(combo);
+  const eventKey = normalizeKey(event.key);
+
+  // A lone modifier ("Alt") matches the modifier key itself
+  if (MODIFIER_KEYS[eventKey] && MODIFIER_KEYS[eventKey] === parsed.key.toLowerCase()) {
+    return true;
+  }
+
+  const held = MODIFIERS.filter(modifier => event[`${modifier}Key`]);
+  const wanted = MODIFIERS.filter(modifier => parsed[modifier]);
+
+  if (parsed.key === '*') {
+    return wanted.length > 0 && wanted.every(modifier => held.includes(modifier));
+  }
+
+  return parsed.key === eventKey &&
+    held.length === wanted.length &&
+    wanted.every(modifier => held.includes(modifier));
+}
+
+/**
+ * Check if an element is one of the app's own editable fields
+ * @param {EventTarget} target - Event target
+ * @returns {boolean}
+ */
+export function isEditableTarget(target) {
+  if (!target || !target.tagName) return false;
+  const tag = target.tagName.toLowerCase();
+  return tag === 'input' || tag === 'textarea' || tag === 'select' || Boolean(target.isContentEditable);
+}
+
+/**
+ * Decide what to do with a key under a rule list
+ * @param {KeyboardEvent|Object} event - Anything with key, the modifier flags and target
+ * @param {Array} keyRules - Rules to apply (default: the current policy)
+ * @returns {string} - KEY_ACTION.ALLOW or KEY_ACTION.BLOCK
+ */
+export function evaluateKey(event, keyRules = rules) {
+  const inInput = isEditableTarget(event.target);
+
+  const rule = keyRules.find(candidate =>
+    candidate && candidate.keys &&
+    (candidate.scope !== KEY_SCOPE.INPUT || inInput) &&
+    comboMatches(candidate.keys, event)
+  );
+
+  return rule && rule.action === KEY_ACTION.BLOCK ? KEY_ACTION.BLOCK : KEY_ACTION.ALLOW;
+}
+
+/**
+ * keydown handler that applies the current policy
+ * @param {KeyboardEvent} e - Key event
+ */
+export function enforceKeyPolicy(e) {
+  if (evaluateKey(e) === KEY_ACTION.BLOCK) {
+    e.preventDefault();
+    e.stopPropagation();
+    console.log('Blocked key:', e.key);
+    return false;
+  }
+}
+
+/**
+ * contextmenu handler that applies the policy's "ContextMenu" rule to right-clicks
+ * @param {MouseEvent} e - Context menu event
+ */
+export function enforceContextMenuPolicy(e) {
+  if (evaluateKey({ key: CONTEXT_MENU_KEY, target: e.target }) === KEY_ACTION.BLOCK) {
+    e.preventDefault();
+  }
+}
+
+/**
+ * Current rule list
+ * @returns {Array}
+ */
+export function getKeyRules() {
+  return rules;
+}
+
+/**
+ * Replace the rule list and remember it for offline starts
+ * @param {Array} nextRules - Rules, or null to go back to the defaults
+ */
+export function setKeyRules(nextRules) {
+  rules = Array.isArray(nextRules) ? nextRules : DEFAULT_KEY_RULES;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+}
+
+/**
+ * Load the key policy for a device's group from the server
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Array>} - The rules now in force
+ */
+export async function loadKeyPolicy(deviceId) {
+  try {
+    const device = await pbclient.collection('devices').getOne(deviceId);
+    const filters = device.group ? [`group = "${device.group}"`, 'group = ""'] : ['group = ""'];
+
+    for (const filter of filters) {
+      const policies = await pbclient.collection('key_policies').getList(1, 1, {
+        filter: `${filter} && status = "Active"`,
+        sort: '-updated'
+      });
+
+      if (policies.items.length > 0) {
+        setKeyRules(policies.items[0].rules);
+        console.log(`Key policy loaded: ${policies.items[0].name || policies.items[0].id}`);
+        return rules;
+      }
+    }
+
+    setKeyRules(null);
+  } catch (error) {
+    // Keep whatever policy was in force
+    console.error('Error loading key policy:', error);
+  }
+
+  return rules;
+}
+
+/**
+ * Load the device's key policy and reload it whenever staff change a policy
+ * @param {string} deviceId - Device ID
+ * @returns {Function} - Stops watching
+ */
+export function watchKeyPolicy(deviceId) {
+  let unsubscribe = null;
+  let stopped = false;
+
+  loadKeyPolicy(deviceId);
+
+  pbclient.collection('key_policies').subscribe('*', () => loadKeyPolicy(deviceId))
+    .then(unsubscribeFunc => {
+      if (stopped) {
+        unsubscribeFunc();
+      } else {
+        unsubscribe = unsubscribeFunc;
+      }
+    })
+    .catch(error => console.error('Error subscribing to key policies:', error));
+
+  return () => {
+    stopped = true;
+    if (unsubscribe) unsubscribe();
+  };
+}
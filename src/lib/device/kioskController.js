@@ -0,0 +1,323 @@
+import { window as neuWindow } from '@neutralinojs/lib';
+import { enforceContextMenuPolicy, enforceKeyPolicy } from '@/lib/device/keyPolicy';
+import { serverNow } from '@/lib/session/serverTime';
+
+/**
+ * Kiosk controller.
+ * The only place that locks or unlocks the client window. Lock and unlock
+ * calls are queued one after another so they cannot race, repeating the
+ * current state is a no-op, and every change records the reason it was
+ * made. Staff reasons (maintenance, remote lock and unlock) are held: the
+ * routine session check cannot undo them until they lapse or are released.
+ * A hold always lapses, at its until or HELD_MS after it was set, so a
+ * forgotten remote lock cannot outlive a restart and block the PC for good.
+ * While locked, keys go through the key policy, and a watchdog puts
+ * fullscreen, always-on-top and focus back whenever the window loses them.
+ * Unlocked, the window is the full session card, a small timer docked to a
+ * screen corner, or a full-screen alert (see WINDOW_MODE).
+ */
+
+export const KIOSK_REASON = {
+  STARTUP: 'startup',
+  NO_SESSION: 'no-session',
+  SESSION_ENDED: 'session-ended',
+  SESSION_PAUSED: 'session-paused',
+  SESSION_ACTIVE: 'session-active',
+  LOGGED_OUT: 'logged-out',
+  REMOTE_LOCK: 'remote-lock',
+  REMOTE_UNLOCK: 'remote-unlock',
+  MAINTENANCE: 'maintenance',
+  PRIVACY_LOCK: 'privacy-lock',
+  DEVICE_REGISTRATION: 'device-registration'
+};
+
+export const WINDOW_MODE = {
+  FULL: 'full',
+  MINI: 'mini',
+  ALERT: 'alert'
+};
+
+// Set on purpose by staff; they stand until they lapse or something releases them
+const HELD_REASONS = [KIOSK_REASON.MAINTENANCE, KIOSK_REASON.REMOTE_LOCK, KIOSK_REASON.REMOTE_UNLOCK];
+// How long a held reason stands when the caller gives no until
+const HELD_MS = 2 * 60 * 60 * 1000;
+// Repeated by the session check on every poll
+const ROUTINE_REASONS = [KIOSK_REASON.NO_SESSION, KIOSK_REASON.SESSION_ACTIVE];
+
+const STORAGE_KEY = 'kiosk_state';
+const UNLOCKED_SIZE = { width: 600, height: 800 };
+const MINI_SIZE = { width: 280, height: 120 };
+const MINI_MARGIN = 16;
+
+function readSavedState() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    // A maintenance window does not outlive the app: its relock timer is gone after a restart
+    if (saved && typeof saved.locked === 'boolean' && saved.reason !== KIOSK_REASON.MAINTENANCE) {
+      return { mode: WINDOW_MODE.FULL, until: null, ...saved };
+    }
+  } catch (error) {
+    console.error('Error reading saved kiosk state:', error);
+  }
+  // A kiosk PC starts locked until something says otherwise
+  return { locked: true, reason: KIOSK_REASON.STARTUP, until: null, since: new Date().toISOString(), mode: WINDOW_MODE.FULL };
+}
+
+let state = readSavedState();
+let opChain = Promise.resolve();
+const listeners = new Set();
+
+function setState(next) {
+  state = next;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  listeners.forEach(listener => listener(state));
+}
+
+async function applyLocked() {
+  await neuWindow.setSize({
+    width: window.screen.width,
+    height: window.screen.height,
+    resizable: false,
+    borderless: true,
+    alwaysOnTop: true,
+    maximize: true
+  });
+  await neuWindow.setFullScreen();
+  await neuWindow.setAlwaysOnTop(true);
+  await neuWindow.focus();
+  document.addEventListener('keydown', enforceKeyPolicy, true);
+  document.addEventListener('contextmenu', enforceContextMenuPolicy, true);
+}
+
+async function applyUnlocked() {
+  if (await neuWindow.isFullScreen()) {
+    await neuWindow.exitFullScreen();
+  }
+
+  document.removeEventListener('keydown', enforceKeyPolicy, true);
+  document.removeEventListener('contextmenu', enforceContextMenuPolicy, true);
+
+  if (state.mode === WINDOW_MODE.ALERT) {
+    // Full screen over the customer's game, without locking the keyboard
+    await neuWindow.setSize({
+      width: window.screen.width,
+      height: window.screen.height,
+      resizable: false,
+      borderless: true,
+      alwaysOnTop: true,
+      maximize: true
+    });
+    await neuWindow.setFullScreen();
+    await neuWindow.setAlwaysOnTop(true);
+    await neuWindow.focus();
+    return;
+  }
+
+  if (state.mode === WINDOW_MODE.MINI) {
+    // Borderless timer docked to the top-right corner, above the customer's game
+    await neuWindow.setSize({
+      ...MINI_SIZE,
+      resizable: false,
+      borderless: true,
+      alwaysOnTop: true,
+      maximize: false
+    });
+    await neuWindow.setAlwaysOnTop(true);
+    await neuWindow.move(window.screen.width - MINI_SIZE.width - MINI_MARGIN, MINI_MARGIN);
+    return;
+  }
+
+  await neuWindow.setSize({
+    ...UNLOCKED_SIZE,
+    resizable: false,
+    borderless: false,
+    alwaysOnTop: false,
+    maximize: false
+  });
+  await neuWindow.setAlwaysOnTop(false);
+  await neuWindow.center();
+
+  // Store window size in localStorage to restore on reload
+  localStorage.setItem('window_size', JSON.stringify({ ...UNLOCKED_SIZE, isLoggedIn: true }));
+}
+
+// When a reason set now lapses; held reasons get HELD_MS unless the caller says otherwise
+function lapseTime(reason, options) {
+  if (options.until) return options.until.toISOString();
+  if (!HELD_REASONS.includes(reason)) return null;
+  return new Date(serverNow().getTime() + HELD_MS).toISOString();
+}
+
+function isHeld(current) {
+  if (!HELD_REASONS.includes(current.reason)) return false;
+  // A hold saved without until (by an older version) lapses HELD_MS after it was set
+  const until = current.until ? new Date(current.until) : new Date(new Date(current.since).getTime() + HELD_MS);
+  return until > serverNow();
+}
+
+// A routine reason leaves a held one alone, unless the caller releases it
+function yieldsToHold(reason, options) {
+  if (options.release || !ROUTINE_REASONS.includes(reason) || !isHeld(state)) return false;
+  console.log(`Kiosk kept ${state.locked ? 'locked' : 'unlocked'} (${state.reason}), ignoring ${reason}`);
+  return true;
+}
+
+function enqueue(operation) {
+  opChain = opChain.then(operation).catch(error => {
+    console.error('Kiosk controller error:', error);
+  });
+  return opChain;
+}
+
+/**
+ * Current kiosk state
+ * @returns {{locked: boolean, reason: string, since: string, mode: string, until: (string|null)}}
+ */
+export function getKioskState() {
+  return state;
+}
+
+/**
+ * Listen for kiosk state changes
+ * @param {Function} listener - Called with the new state
+ * @returns {Function} - Stops listening
+ */
+export function subscribeKiosk(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Lock the PC into kiosk mode. Locking an already locked PC only updates the reason.
+ * @param {string} reason - Why the PC is locked (see KIOSK_REASON)
+ * @param {Object} options - Lock options
+ * @param {Date|null} options.until - When a held reason lapses (default: two hours from now)
+ * @param {boolean} options.release - Override a held reason with a routine one
+ * @returns {Promise<void>}
+ */
+export function lockKiosk(reason = KIOSK_REASON.NO_SESSION, options = {}) {
+  return enqueue(async () => {
+    if (yieldsToHold(reason, options)) return;
+
+    const until = lapseTime(reason, options);
+    if (state.locked) {
+      if (state.reason !== reason || state.until !== until) {
+        setState({ ...state, reason, until });
+      }
+      return;
+    }
+
+    // Record the lock first: if applying it fails part way, the watchdog finishes the job
+    console.log(`Locking kiosk (${reason})`);
+    // The next unlock starts from the full card again
+    setState({ locked: true, reason, until, since: new Date().toISOString(), mode: WINDOW_MODE.FULL });
+    await applyLocked();
+  });
+}
+
+/**
+ * Unlock the PC. Unlocking an already unlocked PC only updates the reason.
+ * @param {string} reason - Why the PC is unlocked (see KIOSK_REASON)
+ * @param {Object} options - Unlock options
+ * @param {Date|null} options.until - When a held reason lapses (default: two hours from now)
+ * @param {boolean} options.release - Override a held reason with a routine one
+ * @returns {Promise<void>}
+ */
+export function unlockKiosk(reason = KIOSK_REASON.SESSION_ACTIVE, options = {}) {
+  return enqueue(async () => {
+    if (yieldsToHold(reason, options)) return;
+
+    const until = lapseTime(reason, options);
+    if (!state.locked) {
+      if (state.reason !== reason || state.until !== until) {
+        setState({ ...state, reason, until });
+      }
+      return;
+    }
+
+    console.log(`Unlocking kiosk (${reason})`);
+    setState({ ...state, locked: false, reason, until, since: new Date().toISOString() });
+    await applyUnlocked();
+  });
+}
+
+/**
+ * Switch the unlocked window between the full session card and the docked timer.
+ * While locked the mode is only remembered, and applies on the next unlock.
+ * @param {string} mode - See WINDOW_MODE
+ * @returns {Promise<void>}
+ */
+export function setWindowMode(mode) {
+  return enqueue(async () => {
+    if (state.mode === mode) return;
+
+    console.log(`Window mode: ${mode}`);
+    setState({ ...state, mode });
+    if (!state.locked) {
+      await applyUnlocked();
+    }
+  });
+}
+
+// Keep the docked timer or alert showing and on top; customers tend to minimise them
+async function enforceOnTop() {
+  if (!(await neuWindow.isVisible())) {
+    await neuWindow.show();
+  }
+  await neuWindow.setAlwaysOnTop(true);
+}
+
+// Put back whatever the window lost while locked
+async function enforceLock() {
+  if (!state.locked) {
+    if (state.mode === WINDOW_MODE.MINI || state.mode === WINDOW_MODE.ALERT) {
+      await enforceOnTop().catch(error => console.error('Kiosk watchdog error:', error));
+    }
+    return;
+  }
+
+  try {
+    if (!(await neuWindow.isVisible())) {
+      console.log('Kiosk watchdog: window hidden, showing it');
+      await neuWindow.show();
+    }
+
+    if (!(await neuWindow.isFullScreen())) {
+      console.log('Kiosk watchdog: fullscreen lost, restoring');
+      await neuWindow.setFullScreen();
+    }
+
+    await neuWindow.setAlwaysOnTop(true);
+
+    if (!document.hasFocus()) {
+      await neuWindow.focus();
+    }
+  } catch (error) {
+    console.error('Kiosk watchdog error:', error);
+  }
+}
+
+/**
+ * Apply the saved kiosk state and keep it enforced
+ * @param {number} intervalMs - Watchdog interval (default: 2 seconds)
+ * @returns {Function} - Stops the watchdog
+ */
+export function startKioskWatchdog(intervalMs = 2000) {
+  // Re-apply the saved state; the window starts in its configured size after a restart
+  enqueue(() => (state.locked ? applyLocked() : applyUnlocked()));
+
+  const check = () => enqueue(enforceLock);
+  const handleBlur = () => {
+    if (state.locked) check();
+  };
+
+  window.addEventListener('blur', handleBlur);
+  document.addEventListener('visibilitychange', handleBlur);
+  const interval = setInterval(check, intervalMs);
+
+  return () => {
+    window.removeEventListener('blur', handleBlur);
+    document.removeEventListener('visibilitychange', handleBlur);
+    clearInterval(interval);
+  };
+}
@@ -0,0 +1,150 @@
+import { filesystem } from '@neutralinojs/lib';
+import { pbclient } from '@/lib/pocketbase/pb';
+import { fetchPricingContext } from '@/lib/session/pricingContext';
+import { SESSION_STATUS } from '@/lib/session/lifecycle';
+
+/**
+ * Lock screen content.
+ * Loads what the attract screen shows while the PC is locked: the device
+ * group's rate and happy hours, and the promo slides staff manage in
+ * promo_slides. The last copy is cached next to the app (slide images
+ * included), so the lock screen still has something to show offline.
+ */
+
+const CACHE_FILE = 'lock_screen.json';
+const FALLBACK_STORAGE_KEY = 'lock_screen';
+
+function cacheDir() {
+  return `${window.NL_PATH || '.'}/.data`;
+}
+
+function cachePath() {
+  return `${cacheDir()}/${CACHE_FILE}`;
+}
+
+async function readCache() {
+  try {
+    return JSON.parse(await filesystem.readFile(cachePath()));
+  } catch (error) {
+    const stored = localStorage.getItem(FALLBACK_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  }
+}
+
+async function writeCache(info) {
+  const snapshot = JSON.stringify(info);
+
+  try {
+    try {
+      await filesystem.createDirectory(cacheDir());
+    } catch (dirError) {
+      // Directory already exists
+    }
+    await filesystem.writeFile(cachePath(), snapshot);
+  } catch (error) {
+    console.error('Error caching lock screen, using localStorage:', error);
+    try {
+      localStorage.setItem(FALLBACK_STORAGE_KEY, snapshot);
+    } catch (storageError) {
+      console.error('Error caching lock screen in localStorage:', storageError);
+    }
+  }
+}
+
+// Inline a slide image so it can be shown without the server
+async function imageDataUrl(record) {
+  if (!record.image) return null;
+
+  try {
+    const response = await fetch(pbclient.files.getURL(record, record.image));
+    const blob = await response.blob();
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (error) {
+    console.error('Error downloading promo image:', error);
+    return null;
+  }
+}
+
+async function fetchPromoSlides(groupId) {
+  const filter = groupId
+    ? `status = "Active" && (group = "" || group = "${groupId}")`
+    : 'status = "Active" && group = ""';
+
+  const records = await pbclient.collection('promo_slides').getFullList({
+    filter,
+    sort: 'sort_order'
+  });
+
+  return Promise.all(records.map(async record => ({
+    id: record.id,
+    title: record.title,
+    body: record.body,
+    image: await imageDataUrl(record),
+    starts_at: record.starts_at || null,
+    ends_at: record.ends_at || null,
+    duration_seconds: record.duration_seconds || null
+  })));
+}
+
+/**
+ * Load the lock screen content for a device, falling back to the cached copy offline
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<{groupName: string, hourlyRate: number, happyHours: Array, slides: Array, cached: boolean}|null>}
+ */
+export async function loadLockScreenInfo(deviceId) {
+  try {
+    const { group, happyHours } = await fetchPricingContext(deviceId);
+
+    let slides = [];
+    try {
+      slides = await fetchPromoSlides(group ? group.id : null);
+    } catch (error) {
+      console.error('Error fetching promo slides:', error);
+      const cached = await readCache();
+      slides = cached ? cached.slides : [];
+    }
+
+    const info = {
+      groupName: group ? group.name : '',
+      hourlyRate: group ? parseFloat(group.price) || 0 : 0,
+      happyHours,
+      slides
+    };
+    await writeCache(info);
+    return { ...info, cached: false };
+  } catch (error) {
+    console.log('Using cached lock screen:', error.message || error);
+    const cached = await readCache();
+    return cached ? { ...cached, cached: true } : null;
+  }
+}
+
+/**
+ * Check if a promo slide is inside its display window
+ * @param {Object} slide - Cached slide
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isSlideShowing(slide, now = new Date()) {
+  if (slide.starts_at && new Date(slide.starts_at) > now) return false;
+  if (slide.ends_at && new Date(slide.ends_at) <= now) return false;
+  return true;
+}
+
+/**
+ * The next Booked session on a device that has not started yet
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object|null>} - Session record, or null
+ */
+export async function fetchUpcomingBooking(deviceId) {
+  const sessions = await pbclient.collection('sessions').getList(1, 1, {
+    filter: `device = "${deviceId}" && status = "${SESSION_STATUS.BOOKED}" && in_time > @now`,
+    sort: 'in_time'
+  });
+  return sessions.items.length > 0 ? sessions.items[0] : null;
+}
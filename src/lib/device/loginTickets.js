@@ -0,0 +1,127 @@
+import { pbclient } from '@/lib/pocketbase/pb';
+import { queuedCreate, isNetworkError } from '@/lib/session/offlineQueue';
+import { loadMachineConfig } from '@/lib/device/identity';
+import { serverNow } from '@/lib/session/serverTime';
+
+/**
+ * Counter-issued login tickets.
+ * Staff log a customer in remotely by issuing a `login_tickets` record for
+ * one device. A ticket carries no credentials: the client trades it in at
+ * the server's redeem route (pb_hooks/login_tickets.pb.js), which checks
+ * that the ticket is still Issued, has not expired and is meant for this
+ * device and machine, marks it Redeemed and answers with a fresh auth token
+ * for the customer. Each attempt, whether it worked or not, is written to
+ * login_ticket_redemptions.
+ */
+
+export const TICKET_STATUS = {
+  ISSUED: 'Issued',
+  REDEEMED: 'Redeemed',
+  EXPIRED: 'Expired',
+  REJECTED: 'Rejected'
+};
+
+const REDEEM_ROUTE = '/api/login-tickets/redeem';
+
+export class LoginTicketError extends Error {
+  constructor(message, ticket = null) {
+    super(message);
+    this.name = 'LoginTicketError';
+    this.ticket = ticket;
+  }
+}
+
+/**
+ * PocketBase filter for a device's tickets waiting to be redeemed
+ * @param {string} deviceId - Device ID
+ * @returns {string} - Filter query
+ */
+export function pendingTicketsFilter(deviceId) {
+  return `device = "${deviceId}" && status = "${TICKET_STATUS.ISSUED}" && expires_at > @now`;
+}
+
+/**
+ * Check if a ticket can still be redeemed by a device
+ * @param {Object} ticket - login_tickets record
+ * @param {string} deviceId - Device ID
+ * @param {Date} now - Current time (server-corrected by default)
+ * @returns {boolean}
+ */
+export function isRedeemable(ticket, deviceId, now = serverNow()) {
+  return Boolean(ticket)
+    && ticket.device === deviceId
+    && ticket.status === TICKET_STATUS.ISSUED
+    && new Date(ticket.expires_at) > now;
+}
+
+/**
+ * Fetch the newest ticket waiting for a device
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object|null>} - login_tickets record
+ */
+export async function fetchPendingTicket(deviceId) {
+  const tickets = await pbclient.collection('login_tickets').getList(1, 1, {
+    filter: pendingTicketsFilter(deviceId),
+    sort: '-created'
+  });
+  return tickets.items[0] || null;
+}
+
+async function auditRedemption(ticket, deviceId, machineId, outcome) {
+  try {
+    await queuedCreate('login_ticket_redemptions', {
+      ticket: ticket.id,
+      device: deviceId,
+      client: outcome.client || ticket.client || '',
+      machine_id: machineId || '',
+      success: !outcome.error,
+      error: outcome.error || ''
+    });
+  } catch (error) {
+    console.error('Error auditing login ticket redemption:', error);
+  }
+}
+
+/**
+ * Trade a ticket for the customer's own auth token and log them in
+ * @param {Object} ticket - login_tickets record
+ * @param {string} deviceId - This PC's device ID
+ * @returns {Promise<Object>} - Logged in clients record
+ * @throws {LoginTicketError} - If the ticket is not valid for this device
+ */
+export async function redeemTicket(ticket, deviceId) {
+  const config = await loadMachineConfig();
+  const machineId = config && config.machineId;
+
+  if (!isRedeemable(ticket, deviceId)) {
+    const error = new LoginTicketError('This login ticket is not valid for this PC', ticket);
+    await auditRedemption(ticket, deviceId, machineId, { error: error.message });
+    throw error;
+  }
+
+  let auth;
+  try {
+    auth = await pbclient.send(REDEEM_ROUTE, {
+      method: 'POST',
+      body: { ticket: ticket.id, device: deviceId, machine_id: machineId }
+    });
+  } catch (error) {
+    // Left Issued, so it can be tried again once the server answers
+    if (isNetworkError(error)) throw error;
+
+    const message = (error.response && error.response.message) || error.message || 'Redeem failed';
+    await auditRedemption(ticket, deviceId, machineId, { error: message });
+    throw new LoginTicketError(`Login ticket rejected: ${message}`, ticket);
+  }
+
+  if (!auth || !auth.token || !auth.record) {
+    await auditRedemption(ticket, deviceId, machineId, { error: 'No token returned' });
+    throw new LoginTicketError('Login ticket rejected: the server returned no token', ticket);
+  }
+
+  pbclient.authStore.save(auth.token, auth.record);
+  await auditRedemption(ticket, deviceId, machineId, { client: auth.record.id });
+
+  console.log(`Redeemed login ticket ${ticket.id} for client ${auth.record.id}`);
+  return auth.record;
+}
@@ -0,0 +1,146 @@
+import { pbclient } from '@/lib/pocketbase/pb';
+import { queuedCreate } from '@/lib/session/offlineQueue';
+
+/**
+ * Staff messages.
+ * A messages record is sent to every device, to one device group, or to a
+ * single device. Each device acknowledges a message by creating a
+ * message_reads record, which is how the counter sees that it was read.
+ * Customers go the other way by opening a help_requests record.
+ */
+
+export const MESSAGE_TARGET = {
+  ALL: 'All',
+  GROUP: 'Group',
+  DEVICE: 'Device'
+};
+
+export const MESSAGE_PRIORITY = {
+  LOW: 'Low',
+  NORMAL: 'Normal',
+  HIGH: 'High',
+  URGENT: 'Urgent'
+};
+
+const PRIORITY_ORDER = [
+  MESSAGE_PRIORITY.LOW,
+  MESSAGE_PRIORITY.NORMAL,
+  MESSAGE_PRIORITY.HIGH,
+  MESSAGE_PRIORITY.URGENT
+];
+
+/**
+ * PocketBase filter for the current messages addressed to a device
+ * A message counts as current until its expires_at, or for a day when it has none.
+ * @param {Object} device - devices record (uses id and group)
+ * @returns {string} - Filter query
+ */
+export function messagesFilter(device) {
+  const targets = [
+    `target = "${MESSAGE_TARGET.ALL}"`,
+    `(target = "${MESSAGE_TARGET.DEVICE}" && device = "${device.id}")`
+  ];
+
+  if (device.group) {
+    targets.push(`(target = "${MESSAGE_TARGET.GROUP}" && group = "${device.group}")`);
+  }
+
+  return `(${targets.join(' || ')}) && (expires_at > @now || (expires_at = "" && created > @yesterday))`;
+}
+
+/**
+ * Check if a message is addressed to a device and still current
+ * @param {Object} message - messages record
+ * @param {Object} device - devices record
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isMessageForDevice(message, device, now = new Date()) {
+  if (!message || !device) return false;
+  if (message.expires_at && new Date(message.expires_at) <= now) return false;
+
+  switch (message.target) {
+    case MESSAGE_TARGET.ALL:
+      return true;
+    case MESSAGE_TARGET.GROUP:
+      return Boolean(device.group) && message.group === device.group;
+    case MESSAGE_TARGET.DEVICE:
+      return message.device === device.id;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Rank of a priority, higher is more important
+ * @param {string} priority - Message priority
+ * @returns {number}
+ */
+export function priorityRank(priority) {
+  const rank = PRIORITY_ORDER.indexOf(priority);
+  return rank === -1 ? PRIORITY_ORDER.indexOf(MESSAGE_PRIORITY.NORMAL) : rank;
+}
+
+/**
+ * Sort messages most important first, then oldest first
+ * @param {Array} messages - messages records
+ * @returns {Array} - Sorted copy
+ */
+export function sortMessages(messages) {
+  return [...messages].sort((a, b) =>
+    priorityRank(b.priority) - priorityRank(a.priority) || new Date(a.created) - new Date(b.created)
+  );
+}
+
+/**
+ * IDs of the messages a device has already acknowledged
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Set<string>>}
+ */
+export async function fetchReadMessageIds(deviceId) {
+  const reads = await pbclient.collection('message_reads').getFullList({
+    filter: `device = "${deviceId}"`,
+    fields: 'message'
+  });
+  return new Set(reads.map(read => read.message));
+}
+
+/**
+ * Record that a device has seen a message
+ * @param {Object} message - messages record
+ * @param {string} deviceId - Device ID
+ * @param {string} userId - Logged in user, if any
+ * @returns {Promise<Object>} - Created message_reads record
+ */
+export async function acknowledgeMessage(message, deviceId, userId = null) {
+  const read = {
+    message: message.id,
+    device: deviceId,
+    read_at: new Date().toISOString()
+  };
+  if (userId) read.user = userId;
+
+  return pbclient.collection('message_reads').create(read);
+}
+
+/**
+ * Ask the counter to come to a device
+ * @param {string} deviceId - Device ID
+ * @param {Object} params
+ * @param {string} params.sessionId - Current session, if any
+ * @param {string} params.userId - Logged in user, if any
+ * @param {string} params.reason - Short note for staff
+ * @returns {Promise<Object>} - Created help_requests record (queued while offline)
+ */
+export async function callStaff(deviceId, { sessionId = null, userId = null, reason = '' } = {}) {
+  const request = {
+    device: deviceId,
+    status: 'Open',
+    reason,
+    requested_at: new Date().toISOString()
+  };
+  if (sessionId) request.session = sessionId;
+  if (userId) request.user = userId;
+
+  return queuedCreate('help_requests', request);
+}
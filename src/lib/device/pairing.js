@@ -0,0 +1,107 @@
+import { pbclient } from '@/lib/pocketbase/pb';
+import { serverNow } from '@/lib/session/serverTime';
+
+/**
+ * QR pairing login.
+ * The lock screen shows a short-lived pairing code for this device as a QR
+ * code. The customer scans it with their phone, or shows it at the counter,
+ * and the pairing is approved on the server: the `device_pairings` record
+ * is set to Approved and a login ticket is issued for the device, which
+ * LoginTicketMonitor redeems like any other ticket. The server decides how
+ * long a pairing lives (pb_hooks/pairings.pb.js): its create hook stamps
+ * expires_at, and a scheduled job marks pairings past expires_at Expired
+ * and deletes old ones. A fresh code replaces the old one before it
+ * expires, and codes are only created while the login screen is on show.
+ */
+
+export const PAIRING_STATUS = {
+  PENDING: 'Pending',
+  APPROVED: 'Approved',
+  EXPIRED: 'Expired'
+};
+
+// Assumed lifetime when the server's answer has no expires_at
+export const PAIRING_TTL_MS = 2 * 60 * 1000;
+
+// No 0/O, 1/I/L, so the code can be read out at the counter
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+function generateCode() {
+  const values = new Uint32Array(CODE_LENGTH);
+  window.crypto.getRandomValues(values);
+  return Array.from(values, value => CODE_ALPHABET[value % CODE_ALPHABET.length]).join('');
+}
+
+/**
+ * Text encoded in the QR code for a pairing
+ * @param {Object} pairing - device_pairings record
+ * @returns {string}
+ */
+export function pairingPayload(pairing) {
+  return `pair:${pairing.device}:${pairing.code}`;
+}
+
+/**
+ * Start a new pairing for this device
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object>} - device_pairings record
+ */
+export async function createPairing(deviceId) {
+  return pbclient.collection('device_pairings').create({
+    device: deviceId,
+    code: generateCode(),
+    status: PAIRING_STATUS.PENDING
+  });
+}
+
+/**
+ * Time left before a pairing expires, as set by the server
+ * @param {Object} pairing - device_pairings record
+ * @returns {number} - Milliseconds
+ */
+export function pairingTimeLeft(pairing) {
+  const expiresAt = pairing && pairing.expires_at ? Date.parse(String(pairing.expires_at).replace(' ', 'T')) : NaN;
+  if (Number.isNaN(expiresAt)) return PAIRING_TTL_MS;
+  return Math.max(0, expiresAt - serverNow().getTime());
+}
+
+/**
+ * Retire a pairing that is no longer shown, so its code cannot be approved
+ * @param {Object} pairing - device_pairings record
+ */
+export async function expirePairing(pairing) {
+  if (!pairing || pairing.status !== PAIRING_STATUS.PENDING) return;
+
+  try {
+    await pbclient.collection('device_pairings').update(pairing.id, { status: PAIRING_STATUS.EXPIRED });
+  } catch (error) {
+    console.error('Error expiring pairing:', error);
+  }
+}
+
+/**
+ * Follow a pairing until it is approved or expires
+ * @param {Object} pairing - device_pairings record
+ * @param {Function} listener - Called with the updated record
+ * @returns {Function} - Stops following
+ */
+export function watchPairing(pairing, listener) {
+  let unsubscribe = null;
+  let stopped = false;
+
+  pbclient.collection('device_pairings').subscribe(pairing.id, (event) => listener(event.record))
+    .then(unsubscribeFunc => {
+      if (stopped) {
+        unsubscribeFunc();
+      } else {
+        unsubscribe = unsubscribeFunc;
+      }
+    })
+    .catch(error => console.error('Error subscribing to pairing:', error));
+
+  return () => {
+    stopped = true;
+    if (unsubscribe) unsubscribe();
+  };
+}
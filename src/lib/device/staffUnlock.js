@@ -0,0 +1,253 @@
+import { filesystem } from '@neutralinojs/lib';
+import { pbclient } from '@/lib/pocketbase/pb';
+import { queuedCreate, isNetworkError } from '@/lib/session/offlineQueue';
+import { serverTimeMs } from '@/lib/session/serverTime';
+
+/**
+ * Staff unlock.
+ * A staff PIN is checked by the server's verify route, which rate-limits
+ * attempts; the PIN hashes never leave the server (pb_hooks/staff_unlock.pb.js).
+ * So staff can still unlock a PC while the server is unreachable, the server
+ * hands each device a signed list of its offline codes (long random codes,
+ * not PINs, kept as PBKDF2 hashes). The list is cached next to the app and
+ * checked locally, with a lockout after too many wrong codes that is saved to
+ * disk and so survives a restart. Every unlock is written to device_unlocks
+ * (through the offline queue, so it is recorded once the server is back); an
+ * offline one carries the list it was checked against, so the server can
+ * flag a list it did not sign.
+ */
+
+export const MAINTENANCE_MINUTES = 10;
+
+export const UNLOCK_PURPOSE = {
+  MAINTENANCE: 'maintenance',
+  EXIT: 'exit'
+};
+
+const VERIFY_ROUTE = '/api/staff-unlock/verify';
+const OFFLINE_LIST_ROUTE = '/api/staff-unlock/offline-list';
+const CACHE_FILE = 'staff_offline_list.json';
+const LOCKOUT_FILE = 'staff_unlock_lockout.json';
+const FALLBACK_STORAGE_KEY = 'staff_offline_list';
+const LOCKOUT_STORAGE_KEY = 'staff_unlock_lockout';
+const MAX_ATTEMPTS = 5;
+const LOCKOUT_MS = 60 * 1000;
+const DEFAULT_ITERATIONS = 600000;
+
+let lockout = null;
+
+function cacheDir() {
+  return `${window.NL_PATH || '.'}/.data`;
+}
+
+async function readDataFile(fileName, storageKey, fallback) {
+  try {
+    return JSON.parse(await filesystem.readFile(`${cacheDir()}/${fileName}`));
+  } catch (error) {
+    const stored = localStorage.getItem(storageKey);
+    return stored ? JSON.parse(stored) : fallback;
+  }
+}
+
+async function writeDataFile(fileName, storageKey, data) {
+  const snapshot = JSON.stringify(data);
+
+  try {
+    try {
+      await filesystem.createDirectory(cacheDir());
+    } catch (dirError) {
+      // Directory already exists
+    }
+    await filesystem.writeFile(`${cacheDir()}/${fileName}`, snapshot);
+  } catch (error) {
+    console.error(`Error writing ${fileName}, using localStorage:`, error);
+    localStorage.setItem(storageKey, snapshot);
+  }
+}
+
+/**
+ * Hash a PIN as salted SHA-256
+ * Fast, so only fit for short-lived local secrets such as the privacy lock PIN.
+ * @param {string} pin - PIN as typed
+ * @param {string} salt - Salt
+ * @returns {Promise<string>} - Hex SHA-256 of "salt:pin"
+ */
+export async function hashPin(pin, salt) {
+  const bytes = new TextEncoder().encode(`${salt}:${pin}`);
+  const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Derive a code hash the way staff_offline_codes.code_hash is stored
+ * @param {string} code - Offline code as typed
+ * @param {string} salt - Per-code salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<string>} - Hex PBKDF2-SHA-256 of the code
+ */
+export async function deriveCodeHash(code, salt, iterations = DEFAULT_ITERATIONS) {
+  const encoder = new TextEncoder();
+  const key = await window.crypto.subtle.importKey('raw', encoder.encode(code), 'PBKDF2', false, ['deriveBits']);
+  const bits = await window.crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: encoder.encode(salt), iterations, hash: 'SHA-256' },
+    key,
+    256
+  );
+  return Array.from(new Uint8Array(bits)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Refresh the cached offline allow-list for this device
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<string|null>} - The signed list, or null if the server did not answer
+ */
+export async function loadOfflineAllowList(deviceId) {
+  try {
+    const result = await pbclient.send(OFFLINE_LIST_ROUTE, {
+      method: 'GET',
+      query: { device: deviceId }
+    });
+    if (!result || !result.token) {
+      return null;
+    }
+    await writeDataFile(CACHE_FILE, FALLBACK_STORAGE_KEY, { token: result.token });
+    return result.token;
+  } catch (error) {
+    console.log('Could not refresh the offline allow-list:', error.message || error);
+    return null;
+  }
+}
+
+// Payload of the signed list; the signature itself is checked by the server when the unlock is recorded
+function readAllowList(token, deviceId) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const claims = JSON.parse(atob(payload));
+    if (claims.device !== deviceId || !claims.exp || claims.exp * 1000 < serverTimeMs()) {
+      return null;
+    }
+    return Array.isArray(claims.entries) ? claims.entries : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function loadLockout() {
+  if (!lockout) {
+    const saved = await readDataFile(LOCKOUT_FILE, LOCKOUT_STORAGE_KEY, null);
+    lockout = {
+      failedAttempts: Number(saved && saved.failedAttempts) || 0,
+      lockedOutUntil: Number(saved && saved.lockedOutUntil) || 0
+    };
+  }
+  return lockout;
+}
+
+async function saveLockout(next) {
+  lockout = next;
+  await writeDataFile(LOCKOUT_FILE, LOCKOUT_STORAGE_KEY, lockout);
+}
+
+async function recordWrongPin() {
+  const current = await loadLockout();
+  const failedAttempts = current.failedAttempts + 1;
+
+  if (failedAttempts >= MAX_ATTEMPTS) {
+    await saveLockout({ failedAttempts: 0, lockedOutUntil: serverTimeMs() + LOCKOUT_MS });
+  } else {
+    await saveLockout({ ...current, failedAttempts });
+  }
+}
+
+/**
+ * Seconds until PIN entry is allowed again after too many wrong PINs
+ * @returns {Promise<number>}
+ */
+export async function lockoutRemaining() {
+  const current = await loadLockout();
+  return Math.max(0, Math.ceil((current.lockedOutUntil - serverTimeMs()) / 1000));
+}
+
+// Check an offline code against the cached allow-list, for when the server cannot be asked
+async function verifyOfflineCode(code, deviceId) {
+  const cached = await readDataFile(CACHE_FILE, FALLBACK_STORAGE_KEY, null);
+  const entries = cached && cached.token ? readAllowList(cached.token, deviceId) : null;
+  if (!entries) {
+    console.log('No valid offline allow-list for this device');
+    return null;
+  }
+
+  for (const entry of entries) {
+    if (entry.salt && entry.code_hash && await deriveCodeHash(code, entry.salt, entry.iterations || DEFAULT_ITERATIONS) === entry.code_hash) {
+      return { staff: entry.staff, name: entry.name, allowList: cached.token };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a staff PIN on the server, or an offline code against the cached allow-list when it does not answer
+ * @param {string} pin - PIN (or offline code) as typed
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object|null>} - The matching staff entry ({staff, name}, plus allowList when checked offline), or null
+ * @throws {Error} - While locked out after too many wrong PINs
+ */
+export async function verifyStaffPin(pin, deviceId) {
+  const remaining = await lockoutRemaining();
+  if (remaining > 0) {
+    throw new Error(`Too many wrong PINs, try again in ${remaining}s`);
+  }
+
+  let staff = null;
+  try {
+    const result = await pbclient.send(VERIFY_ROUTE, {
+      method: 'POST',
+      body: { device: deviceId, pin }
+    });
+    staff = result && result.staff ? { staff: result.staff, name: result.name } : null;
+    // Keep the offline allow-list current while the server answers
+    loadOfflineAllowList(deviceId);
+  } catch (error) {
+    if (error.status === 429) {
+      throw new Error((error.response && error.response.message) || 'Too many wrong PINs, try again shortly');
+    }
+    if (isNetworkError(error)) {
+      console.log('Server unreachable, checking the offline code against the allow-list');
+      staff = await verifyOfflineCode(pin, deviceId);
+    } else if (![400, 401, 403].includes(error.status)) {
+      // Anything but a rejected PIN is a failure to check, not a wrong PIN
+      throw error;
+    }
+  }
+
+  if (!staff) {
+    await recordWrongPin();
+    return null;
+  }
+
+  await saveLockout({ failedAttempts: 0, lockedOutUntil: 0 });
+  return staff;
+}
+
+/**
+ * Record a staff unlock against the device
+ * @param {string} deviceId - Device ID
+ * @param {Object} staff - Staff entry from verifyStaffPin
+ * @param {string} purpose - Why the PC was unlocked (see UNLOCK_PURPOSE)
+ * @param {Date|null} until - When the maintenance window ends
+ */
+export async function recordUnlock(deviceId, staff, purpose, until = null) {
+  try {
+    await queuedCreate('device_unlocks', {
+      device: deviceId,
+      staff: staff.staff,
+      staff_name: staff.name,
+      purpose,
+      unlocked_at: new Date().toISOString(),
+      until: until ? until.toISOString() : null,
+      allow_list: staff.allowList || ''
+    });
+  } catch (error) {
+    console.error('Error recording staff unlock:', error);
+  }
+}
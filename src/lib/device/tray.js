@@ -0,0 +1,79 @@
+import { os, events } from '@neutralinojs/lib';
+
+/**
+ * System tray.
+ * While a session runs the client keeps a tray icon whose menu shows the
+ * time left and a few quick actions, so customers can reach it without
+ * leaving a full-screen game. Neutralino trays have no tooltip, so the time
+ * left is the menu's first (disabled) entry. The icon turns red when the
+ * session is about to end.
+ */
+
+export const TRAY_ACTION = {
+  EXTEND: 'extend',
+  SNACKS: 'snacks',
+  CALL_STAFF: 'call-staff',
+  LOCK: 'lock'
+};
+
+const ICON = '/public/neutralino.png';
+const WARNING_ICON = '/public/tray-warning.png';
+
+let lastTray = null;
+
+async function setTray(icon, menuItems) {
+  const key = JSON.stringify({ icon, menuItems });
+  if (key === lastTray) return;
+
+  try {
+    await os.setTray({ icon, menuItems });
+    lastTray = key;
+  } catch (error) {
+    console.error('Error updating tray:', error);
+  }
+}
+
+/**
+ * Show the session's time left and the quick actions in the tray
+ * @param {Object} params
+ * @param {string} params.remaining - Time left, e.g. "01:25"
+ * @param {boolean} params.endingSoon - Switch to the warning icon
+ * @returns {Promise<void>}
+ */
+export function showSessionTray({ remaining, endingSoon = false }) {
+  return setTray(endingSoon ? WARNING_ICON : ICON, [
+    { id: 'remaining', text: `Time left: ${remaining}`, isDisabled: true },
+    { text: '-' },
+    { id: TRAY_ACTION.EXTEND, text: 'Extend session' },
+    { id: TRAY_ACTION.SNACKS, text: 'Order snacks' },
+    { id: TRAY_ACTION.CALL_STAFF, text: 'Call staff' },
+    { id: TRAY_ACTION.LOCK, text: 'Lock my screen' }
+  ]);
+}
+
+/**
+ * Take the session entries out of the tray once no session is running
+ * @returns {Promise<void>}
+ */
+export function clearSessionTray() {
+  return setTray(ICON, [
+    { id: 'remaining', text: 'No active session', isDisabled: true }
+  ]);
+}
+
+/**
+ * Listen for clicks on the tray's quick actions
+ * @param {Function} handler - Called with the TRAY_ACTION id
+ * @returns {Function} - Stops listening
+ */
+export function onTrayAction(handler) {
+  const listener = (event) => {
+    const id = event.detail && event.detail.id;
+    if (Object.values(TRAY_ACTION).includes(id)) {
+      handler(id);
+    }
+  };
+
+  events.on('trayMenuItemClicked', listener);
+  return () => events.off('trayMenuItemClicked', listener);
+}
@@ -58,18 +58,23 @@ if (typeof window !== 'undefined') {
   });
 }
 
+function decodeTokenPayload(token) {
+  const tokenParts = token.split('.');
+  if (tokenParts.length !== 3) return null;
+
+  const base64Url = tokenParts[1];
+  const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
+  return JSON.parse(atob(base64));
+}
+
 // Add a helper method to manually validate a token
 pbclient.validateToken = function(token) {
   if (!token) return false;
 
   try {
     // Try to decode the token
-    const tokenParts = token.split('.');
-    if (tokenParts.length !== 3) return false;
-
-    const base64Url = tokenParts[1];
-    const base64 = base64Url.replace(/-/g, '+').replace(/_/g, '/');
-    const payload = JSON.parse(atob(base64));
+    const payload = decodeTokenPayload(token);
+    if (!payload) return false;
 
     // Check if token is expired
     const now = Math.floor(Date.now() / 1000);
@@ -82,4 +87,172 @@ pbclient.validateToken = function(token) {
   }
 };
 
+/**
+ * When a token expires
+ * @param {string} token - Auth token
+ * @returns {number|null} - Expiry in milliseconds, or null if the token has none
+ */
+export function tokenExpiry(token) {
+  try {
+    const payload = token ? decodeTokenPayload(token) : null;
+    return payload && payload.exp ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/*
+ * Auth lifetime.
+ * The token is refreshed a few minutes before it expires, and a request
+ * the server turns away with a 401 is sent once more after a refresh. If the
+ * token cannot be refreshed the client moves to RELOGIN_REQUIRED: the
+ * customer stays on the PC and the session keeps running, but writes need
+ * the password again (see reauthenticate).
+ */
+
+export const AUTH_STATE = {
+  SIGNED_OUT: 'signed-out',
+  ACTIVE: 'active',
+  RELOGIN_REQUIRED: 'relogin-required'
+};
+
+const REFRESH_BEFORE_EXPIRY_MS = 5 * 60 * 1000;
+const REFRESH_RETRY_MS = 30 * 1000;
+// setTimeout cannot wait longer than this
+const MAX_TIMER_MS = 2147483647;
+
+const authListeners = new Set();
+let authState = pbclient.authStore.token ? AUTH_STATE.ACTIVE : AUTH_STATE.SIGNED_OUT;
+let refreshTimer = null;
+let refreshing = null;
+
+function setAuthState(next) {
+  if (next === authState) return;
+  authState = next;
+  console.log('Auth state:', next);
+  authListeners.forEach(listener => listener(next));
+}
+
+/**
+ * Current auth state (AUTH_STATE)
+ * @returns {string}
+ */
+export function getAuthState() {
+  return authState;
+}
+
+/**
+ * Listen for auth state changes
+ * @param {Function} listener - Called with the new AUTH_STATE
+ * @returns {Function} - Stops listening
+ */
+export function subscribeAuthState(listener) {
+  authListeners.add(listener);
+  return () => authListeners.delete(listener);
+}
+
+function authCollectionName() {
+  const record = pbclient.authStore.record;
+  return (record && record.collectionName) || 'clients';
+}
+
+/**
+ * Refresh the auth token now. Concurrent callers share one refresh.
+ * @returns {Promise<boolean>} - True if the token was refreshed
+ */
+export function refreshAuth() {
+  if (!pbclient.authStore.token) {
+    return Promise.resolve(false);
+  }
+
+  if (!refreshing) {
+    // Its own request key, so the SDK's auto-cancellation never aborts it
+    refreshing = pbclient.collection(authCollectionName()).authRefresh({ requestKey: null })
+      .then(() => {
+        console.log('Auth token refreshed');
+        setAuthState(AUTH_STATE.ACTIVE);
+        return true;
+      })
+      .catch(error => {
+        if (error.status === 0 || error.isAbort) {
+          // Server unreachable or the request was cut off: the token may still be good, try again shortly
+          console.warn('Auth refresh did not reach the server, retrying shortly');
+          clearTimeout(refreshTimer);
+          refreshTimer = setTimeout(refreshAuth, REFRESH_RETRY_MS);
+        } else {
+          console.error('Auth refresh rejected, login required:', error);
+          clearTimeout(refreshTimer);
+          setAuthState(AUTH_STATE.RELOGIN_REQUIRED);
+        }
+        return false;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+
+  return refreshing;
+}
+
+function scheduleRefresh(delayMs) {
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(() => refreshAuth(), Math.min(Math.max(0, delayMs), MAX_TIMER_MS));
+}
+
+function scheduleFromToken(token) {
+  const expiry = tokenExpiry(token);
+  if (expiry) {
+    scheduleRefresh(expiry - Date.now() - REFRESH_BEFORE_EXPIRY_MS);
+  }
+}
+
+/**
+ * Log the same customer in again after their token could not be refreshed
+ * @param {string} password - Account password
+ * @returns {Promise<Object>} - Auth data
+ */
+export async function reauthenticate(password) {
+  const record = pbclient.authStore.record;
+  const identity = record && (record.email || record.username);
+  if (!identity) {
+    throw new Error('No account to log in again');
+  }
+
+  return pbclient.collection(authCollectionName()).authWithPassword(identity, password);
+}
+
+// Retry a request once after refreshing the token when the server rejects it as unauthorised
+const originalSend = pbclient.send.bind(pbclient);
+pbclient.send = async function(path, options = {}) {
+  try {
+    return await originalSend(path, options);
+  } catch (error) {
+    const isAuthRequest = path.includes('/auth-');
+    if (error.status !== 401 || isAuthRequest || !pbclient.authStore.token) {
+      throw error;
+    }
+    // The token was already turned away; only logging in again helps
+    if (authState === AUTH_STATE.RELOGIN_REQUIRED) {
+      throw error;
+    }
+
+    console.warn(`Request to ${path} unauthorised, refreshing auth and retrying once`);
+    if (!(await refreshAuth())) {
+      throw error;
+    }
+    return originalSend(path, options);
+  }
+};
+
+pbclient.authStore.onChange((token) => {
+  if (token) {
+    setAuthState(AUTH_STATE.ACTIVE);
+    scheduleFromToken(token);
+  } else {
+    clearTimeout(refreshTimer);
+    setAuthState(AUTH_STATE.SIGNED_OUT);
+  }
+});
+scheduleFromToken(pbclient.authStore.token);
+
 export default pbclient;
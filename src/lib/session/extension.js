@@ -0,0 +1,34 @@
+import { quoteSession, sessionWindow } from '@/lib/session/pricing';
+import { fetchPricingContext } from '@/lib/session/pricingContext';
+import { SESSION_STATUS, transitionSession } from '@/lib/session/lifecycle';
+
+/**
+ * Extend a session to a new out_time, re-pricing it under the group rate and happy hours.
+ * The billed duration grows by exactly the time added, so time spent paused
+ * (already added to out_time by resumeSession) is not charged.
+ * @param {Object} session - Open session record
+ * @param {Date} newOutTime - New end of the session
+ * @returns {Promise<{session: Object, quote: Object}>} - Extended session and its new quote
+ */
+export async function extendSessionTo(session, newOutTime) {
+  const { group, happyHours } = await fetchPricingContext(session.device);
+
+  const { inTime, outTime } = sessionWindow(session);
+  const billedMinutes = Number(session.duration) > 0 ? Number(session.duration) : (outTime - inTime) / (1000 * 60);
+  const addedMinutes = (newOutTime - new Date(session.out_time)) / (1000 * 60);
+  const durationMinutes = billedMinutes + addedMinutes;
+
+  const billed = sessionWindow({ ...session, duration: durationMinutes });
+  const quote = quoteSession({ group, happyHours, inTime: billed.inTime, outTime: billed.outTime });
+
+  const extended = await transitionSession(session, SESSION_STATUS.EXTENDED, {
+    out_time: newOutTime.toISOString(),
+    duration: durationMinutes,
+    session_total: quote.finalCost,
+    total_amount: quote.finalCost + (Number(session.snacks_total) || 0),
+    discount_amount: quote.discountAmount,
+    discount_rate: quote.discountRate
+  });
+
+  return { session: extended, quote };
+}
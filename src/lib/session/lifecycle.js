@@ -0,0 +1,329 @@
+import { pbclient } from '@/lib/pocketbase/pb';
+import { queuedCreate, queuedUpdate, getLastKnownSession, isLocalId, isNetworkError } from '@/lib/session/offlineQueue';
+import { roundMoney } from '@/lib/session/pricing';
+import { serverNow } from '@/lib/session/serverTime';
+
+/**
+ * Session lifecycle.
+ * Defines the session statuses, which moves between them are allowed, and
+ * writes the matching session_logs entry for every move. Components change a
+ * session's status only through this module.
+ */
+
+export const SESSION_STATUS = {
+  BOOKED: 'Booked',
+  OCCUPIED: 'Occupied',
+  ACTIVE: 'Active',
+  EXTENDED: 'Extended',
+  PAUSED: 'Paused',
+  CLOSED: 'Closed'
+};
+
+// Statuses of a session that still holds the device
+export const OPEN_STATUSES = [
+  SESSION_STATUS.BOOKED,
+  SESSION_STATUS.ACTIVE,
+  SESSION_STATUS.OCCUPIED,
+  SESSION_STATUS.EXTENDED,
+  SESSION_STATUS.PAUSED
+];
+
+// Statuses that mean the customer is on the PC right now
+export const RUNNING_STATUSES = [
+  SESSION_STATUS.ACTIVE,
+  SESSION_STATUS.EXTENDED
+];
+
+const TRANSITIONS = {
+  [SESSION_STATUS.BOOKED]: [SESSION_STATUS.OCCUPIED, SESSION_STATUS.ACTIVE, SESSION_STATUS.CLOSED],
+  [SESSION_STATUS.OCCUPIED]: [SESSION_STATUS.ACTIVE, SESSION_STATUS.EXTENDED, SESSION_STATUS.CLOSED],
+  [SESSION_STATUS.ACTIVE]: [SESSION_STATUS.EXTENDED, SESSION_STATUS.PAUSED, SESSION_STATUS.CLOSED],
+  [SESSION_STATUS.EXTENDED]: [SESSION_STATUS.EXTENDED, SESSION_STATUS.PAUSED, SESSION_STATUS.CLOSED],
+  [SESSION_STATUS.PAUSED]: [SESSION_STATUS.ACTIVE, SESSION_STATUS.CLOSED],
+  [SESSION_STATUS.CLOSED]: []
+};
+
+// Extra checks on the fields written with a move; return an error message to reject it
+const GUARDS = {
+  [SESSION_STATUS.EXTENDED]: (session, changes) => {
+    if (!changes.out_time) return 'An extension needs a new out_time';
+    if (session.out_time && new Date(changes.out_time) <= new Date(session.out_time)) {
+      return 'An extension must move out_time later';
+    }
+    return null;
+  },
+  [SESSION_STATUS.PAUSED]: (session, changes) => {
+    if (!changes.paused_at) return 'A pause needs paused_at';
+    return null;
+  },
+  [SESSION_STATUS.ACTIVE]: (session, changes) => {
+    if (session.status !== SESSION_STATUS.PAUSED) return null;
+    if (!changes.out_time || new Date(changes.out_time) < new Date(session.out_time)) {
+      return 'Resuming must not move out_time earlier';
+    }
+    return null;
+  }
+};
+
+export class SessionTransitionError extends Error {
+  constructor(from, to, reason) {
+    super(`Cannot move session from ${from || 'none'} to ${to}${reason ? `: ${reason}` : ''}`);
+    this.name = 'SessionTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Check if a status still holds the device
+ * @param {string} status - Session status
+ * @returns {boolean}
+ */
+export function isOpenStatus(status) {
+  return OPEN_STATUSES.includes(status);
+}
+
+/**
+ * Check if a status means the session is being played right now
+ * @param {string} status - Session status
+ * @returns {boolean}
+ */
+export function isRunningStatus(status) {
+  return RUNNING_STATUSES.includes(status);
+}
+
+/**
+ * When a session will end if it keeps running from now.
+ * A paused session's clock is stopped, so its end moves with the current time.
+ * @param {Object} session - Session record
+ * @param {Date} now - Current time (server-corrected by default)
+ * @returns {Date|null} - Effective out_time
+ */
+export function effectiveOutTime(session, now = serverNow()) {
+  if (!session || !session.out_time) return null;
+
+  const outTime = new Date(session.out_time);
+  if (session.status !== SESSION_STATUS.PAUSED || !session.paused_at) {
+    return outTime;
+  }
+
+  const pausedFor = Math.max(0, now - new Date(session.paused_at));
+  return new Date(outTime.getTime() + pausedFor);
+}
+
+/**
+ * PocketBase filter for the open sessions of a device.
+ * A booking that has not started yet is left out: the PC stays free until then.
+ * @param {string} deviceId - Device ID
+ * @returns {string} - Filter query
+ */
+export function openSessionFilter(deviceId) {
+  const statuses = OPEN_STATUSES.map(status => `status = "${status}"`).join(' || ');
+  return `device = "${deviceId}" && (${statuses}) && (status != "${SESSION_STATUS.BOOKED}" || in_time <= @now)`;
+}
+
+/**
+ * Check if a move between two statuses is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Next status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Check whether a session should be promoted to Active when the customer is
+ * at the PC (a Booked or Occupied session the server handed over)
+ * @param {Object} session - Session record
+ * @returns {boolean}
+ */
+export function needsActivation(session) {
+  return Boolean(session)
+    && (session.status === SESSION_STATUS.BOOKED || session.status === SESSION_STATUS.OCCUPIED);
+}
+
+async function writeLog(sessionId, type, { amount = 0, client } = {}) {
+  try {
+    const log = { session_id: sessionId, type, session_amount: amount };
+    if (client) log.client = client;
+    await queuedCreate('session_logs', log);
+  } catch (error) {
+    console.error(`Error creating ${type} session log:`, error);
+  }
+}
+
+/**
+ * Create a session and its Create log entry
+ * @param {Object} data - Session fields (status defaults to Active)
+ * @param {Object} options - Log options
+ * @param {string} options.client - Client ID for the log entry
+ * @returns {Promise<Object>} - Created session (may be an offline record)
+ */
+export async function openSession(data, options = {}) {
+  const status = data.status || SESSION_STATUS.ACTIVE;
+  if (!isOpenStatus(status)) {
+    throw new SessionTransitionError(null, status, 'A new session must start open');
+  }
+
+  const session = await queuedCreate('sessions', { ...data, status });
+  await writeLog(session.id, 'Create', { client: options.client });
+  return session;
+}
+
+/**
+ * Move a session to a new status, writing the fields that go with it and the
+ * matching session_logs entry
+ * @param {Object} session - Current session record (needs id and status)
+ * @param {string} to - Next status
+ * @param {Object} changes - Other fields to write with the move
+ * @param {Object} options - Log options
+ * @param {number} options.amount - session_amount for the log entry
+ * @param {string} options.client - Client ID for the log entry
+ * @param {string} options.logType - session_logs type (default: the new status)
+ * @returns {Promise<Object>} - Updated session
+ * @throws {SessionTransitionError} - If the move is not allowed
+ */
+export async function transitionSession(session, to, changes = {}, options = {}) {
+  const from = session && session.status;
+
+  if (!session || !session.id) {
+    throw new SessionTransitionError(from, to, 'No session');
+  }
+
+  if (!canTransition(from, to)) {
+    throw new SessionTransitionError(from, to);
+  }
+
+  const guard = GUARDS[to];
+  const rejection = guard ? guard(session, changes) : null;
+  if (rejection) {
+    throw new SessionTransitionError(from, to, rejection);
+  }
+
+  const updated = await queuedUpdate('sessions', session.id, { ...changes, status: to });
+  await writeLog(session.id, options.logType || to, options);
+
+  console.log(`Session ${session.id} moved from ${from} to ${to}`);
+  return updated;
+}
+
+/**
+ * Promote a Booked or Occupied session to Active; other statuses are left alone
+ * @param {Object} session - Session record
+ * @returns {Promise<Object>} - The session as it is now
+ */
+export async function activateSession(session) {
+  if (!needsActivation(session)) {
+    return session;
+  }
+
+  return transitionSession(session, SESSION_STATUS.ACTIVE);
+}
+
+// Closes in flight, by session id, so two callers at once share one close
+const closing = new Map();
+
+// The session as it stands now: the server's copy, or a close still waiting in the offline queue
+async function currentSession(session) {
+  const known = await getLastKnownSession();
+  if (known && known.id === session.id && known.status === SESSION_STATUS.CLOSED) {
+    return known;
+  }
+
+  if (isLocalId(session.id)) return session;
+
+  try {
+    return await pbclient.collection('sessions').getOne(session.id);
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+    return session;
+  }
+}
+
+async function closeCurrentSession(session, billing) {
+  const current = await currentSession(session);
+  if (current.status === SESSION_STATUS.CLOSED) {
+    console.log(`Session ${session.id} is already closed`);
+    return current;
+  }
+
+  const snacksTotal = Number(current.snacks_total) || 0;
+  const fields = { ...billing };
+
+  if (fields.amount_paid !== undefined) {
+    fields.amount_paid = roundMoney(fields.amount_paid + snacksTotal);
+  }
+  if (fields.session_total !== undefined) {
+    fields.total_amount = roundMoney(fields.session_total + snacksTotal);
+  }
+
+  return transitionSession(current, SESSION_STATUS.CLOSED, fields, {
+    amount: fields.amount_paid || 0
+  });
+}
+
+/**
+ * Close a session with its final billing.
+ * Every close goes through here: the session is read again first, and one
+ * that is already Closed (by the counter, the reconciler or another logout)
+ * is returned as it is, so it never gets a second Closed log or amount.
+ * amount_paid and session_total are the charge for the time played; snacks
+ * ordered during the session (snacks_total) are added on top.
+ * @param {Object} session - Session record (may be a stale copy)
+ * @param {Object} billing - Billing fields (amount_paid, discount_amount, ...)
+ * @returns {Promise<Object>} - Closed session
+ */
+export async function closeSession(session, billing = {}) {
+  if (!session || !session.id) {
+    throw new SessionTransitionError(session && session.status, SESSION_STATUS.CLOSED, 'No session');
+  }
+
+  if (!closing.has(session.id)) {
+    closing.set(session.id, closeCurrentSession(session, billing).finally(() => closing.delete(session.id)));
+  }
+  return closing.get(session.id);
+}
+
+/**
+ * Move an open session to another device; its status and clock are unchanged
+ * @param {Object} session - Session record
+ * @param {string} deviceId - Device the customer moved to
+ * @returns {Promise<Object>} - Updated session
+ */
+export async function moveSession(session, deviceId) {
+  if (!session || !isOpenStatus(session.status)) {
+    throw new SessionTransitionError(session && session.status, session && session.status, 'Only an open session can move');
+  }
+
+  const updated = await queuedUpdate('sessions', session.id, { device: deviceId });
+  await writeLog(session.id, 'Moved', { amount: 0 });
+
+  console.log(`Session ${session.id} moved from device ${session.device} to ${deviceId}`);
+  return updated;
+}
+
+/**
+ * Pause a running session; its clock stops until it is resumed
+ * @param {Object} session - Session record
+ * @returns {Promise<Object>} - Paused session
+ */
+export async function pauseSession(session) {
+  return transitionSession(session, SESSION_STATUS.PAUSED, {
+    paused_at: serverNow().toISOString()
+  }, { logType: 'Paused' });
+}
+
+/**
+ * Resume a paused session, pushing out_time forward by the time spent paused
+ * @param {Object} session - Session record
+ * @returns {Promise<Object>} - Resumed session
+ */
+export async function resumeSession(session) {
+  const outTime = effectiveOutTime(session);
+
+  return transitionSession(session, SESSION_STATUS.ACTIVE, {
+    out_time: outTime ? outTime.toISOString() : session.out_time,
+    paused_at: null
+  }, { logType: 'Resumed' });
+}
@@ -0,0 +1,369 @@
+import { filesystem } from '@neutralinojs/lib';
+import { pbclient } from '@/lib/pocketbase/pb';
+
+/**
+ * Write-ahead queue for session mutations made while PocketBase is unreachable.
+ *
+ * Writes go to the server first; if the request fails with a network error
+ * the mutation is appended to a queue persisted through Neutralino's
+ * filesystem and an optimistic record is returned instead. The queue is
+ * replayed in order once the server answers again. Updates carry the
+ * server `updated` stamp they were based on, so a record changed on the
+ * server in the meantime is reported as a conflict instead of overwritten.
+ */
+
+const QUEUE_FILE = 'session_queue.json';
+const LOCAL_ID_PREFIX = 'local_';
+const FALLBACK_STORAGE_KEY = 'session_queue';
+
+let state = {
+  entries: [],
+  conflicts: [],
+  idMap: {},
+  lastSession: null
+};
+let loaded = null;
+let writeChain = Promise.resolve();
+let replaying = false;
+
+function queueDir() {
+  return `${window.NL_PATH || '.'}/.data`;
+}
+
+function queuePath() {
+  return `${queueDir()}/${QUEUE_FILE}`;
+}
+
+function generateLocalId() {
+  return LOCAL_ID_PREFIX + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Check if an id was generated locally for a record not yet on the server
+ * @param {string} id - Record ID
+ * @returns {boolean}
+ */
+export function isLocalId(id) {
+  return typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+}
+
+/**
+ * Check if a PocketBase error means the server could not be reached
+ * @param {Error} error - Error thrown by the SDK
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  if (!error) return false;
+  if (error.isAbort) return false;
+  return error.status === 0 || (typeof navigator !== 'undefined' && navigator.onLine === false);
+}
+
+async function readState() {
+  try {
+    const contents = await filesystem.readFile(queuePath());
+    return JSON.parse(contents);
+  } catch (error) {
+    const stored = localStorage.getItem(FALLBACK_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  }
+}
+
+function persist() {
+  const snapshot = JSON.stringify(state);
+
+  writeChain = writeChain.then(async () => {
+    try {
+      try {
+        await filesystem.createDirectory(queueDir());
+      } catch (dirError) {
+        // Directory already exists
+      }
+      await filesystem.writeFile(queuePath(), snapshot);
+    } catch (error) {
+      console.error('Error persisting session queue, using localStorage:', error);
+      localStorage.setItem(FALLBACK_STORAGE_KEY, snapshot);
+    }
+  });
+
+  return writeChain;
+}
+
+/**
+ * Load the persisted queue into memory (only reads the file once)
+ * @returns {Promise<Object>} - Queue state
+ */
+export function loadQueue() {
+  if (!loaded) {
+    loaded = readState()
+      .then(saved => {
+        if (saved) {
+          state = { ...state, ...saved };
+        }
+        return state;
+      })
+      .catch(error => {
+        console.error('Error loading session queue:', error);
+        return state;
+      });
+  }
+
+  return loaded;
+}
+
+/**
+ * Number of mutations waiting to be sent to the server
+ * @returns {number}
+ */
+export function pendingCount() {
+  return state.entries.length;
+}
+
+/**
+ * Remember the latest server copy of the current session, so the countdown
+ * can continue from its out_time while offline
+ * @param {Object|null} session - Session record
+ */
+export async function rememberSession(session) {
+  await loadQueue();
+  state.lastSession = session || null;
+  await persist();
+}
+
+/**
+ * Get the last known copy of the session for a device
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getLastKnownSession(deviceId) {
+  await loadQueue();
+  const session = state.lastSession;
+
+  if (!session || (deviceId && session.device !== deviceId)) {
+    return null;
+  }
+
+  return session;
+}
+
+async function enqueue(entry) {
+  await loadQueue();
+  state.entries.push({ ...entry, queuedAt: new Date().toISOString() });
+  await persist();
+  console.log(`Queued offline ${entry.action} on ${entry.collection} (${state.entries.length} pending)`);
+}
+
+/**
+ * Create a record, queueing it if the server is unreachable
+ * @param {string} collectionName - Collection name
+ * @param {Object} data - Record data
+ * @returns {Promise<Object>} - Server record, or an optimistic local record
+ */
+export async function queuedCreate(collectionName, data) {
+  await loadQueue();
+
+  if (state.entries.length === 0) {
+    try {
+      const record = await pbclient.collection(collectionName).create(data);
+      if (collectionName === 'sessions') {
+        await rememberSession(record);
+      }
+      return record;
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+    }
+  }
+
+  const localId = generateLocalId();
+  await enqueue({ action: 'create', collection: collectionName, recordId: localId, data });
+
+  const record = { ...data, id: localId, updated: null, $offline: true };
+  if (collectionName === 'sessions') {
+    await rememberSession(record);
+  }
+
+  return record;
+}
+
+// Local copy of an update, with PocketBase's "field+" / "field-" modifiers applied
+function applyUpdate(record, data) {
+  const next = { ...record };
+  for (const [key, value] of Object.entries(data)) {
+    const modifier = key.slice(-1);
+    if ((modifier === '+' || modifier === '-') && typeof value === 'number') {
+      const field = key.slice(0, -1);
+      next[field] = (Number(next[field]) || 0) + (modifier === '+' ? value : -value);
+    } else {
+      next[key] = value;
+    }
+  }
+  return next;
+}
+
+/**
+ * Update a record, queueing it if the server is unreachable
+ * @param {string} collectionName - Collection name
+ * @param {string} id - Record ID (may be a local id)
+ * @param {Object} data - Fields to update
+ * @param {Object} options - Update options
+ * @param {string} options.baseUpdated - Server `updated` stamp the change is based on
+ * @returns {Promise<Object>} - Server record, or an optimistic local record
+ */
+export async function queuedUpdate(collectionName, id, data, options = {}) {
+  await loadQueue();
+
+  const hasQueuedWrites = state.entries.some(entry => entry.recordId === id);
+
+  if (!isLocalId(id) && !hasQueuedWrites) {
+    try {
+      const record = await pbclient.collection(collectionName).update(id, data);
+      if (collectionName === 'sessions' && state.lastSession && state.lastSession.id === id) {
+        await rememberSession(record);
+      }
+      return record;
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+    }
+  }
+
+  const lastSession = collectionName === 'sessions' && state.lastSession && state.lastSession.id === id
+    ? state.lastSession
+    : null;
+
+  await enqueue({
+    action: 'update',
+    collection: collectionName,
+    recordId: id,
+    data,
+    // Only the first queued write to a record is checked against the server;
+    // later ones build on it
+    baseUpdated: hasQueuedWrites ? null : (options.baseUpdated || (lastSession && lastSession.updated) || null),
+    chained: hasQueuedWrites
+  });
+
+  const record = { ...applyUpdate(lastSession || {}, data), id, $offline: true };
+  if (lastSession) {
+    await rememberSession(record);
+  }
+
+  return record;
+}
+
+function resolveIds(value) {
+  if (typeof value === 'string' && state.idMap[value]) {
+    return state.idMap[value];
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveIds(item)]));
+  }
+
+  return value;
+}
+
+function reportConflict(entry, server, reason) {
+  const conflict = { entry, server, reason, detectedAt: new Date().toISOString() };
+  state.conflicts.push(conflict);
+  console.warn(`Session queue conflict on ${entry.collection}/${entry.recordId}: ${reason}`);
+  window.dispatchEvent(new CustomEvent('session-queue-conflict', { detail: conflict }));
+}
+
+/**
+ * Send queued mutations to the server in order.
+ * Stops at the first network error and leaves the rest for the next attempt.
+ * @returns {Promise<boolean>} - True if the queue is now empty
+ */
+export async function replayQueue() {
+  await loadQueue();
+
+  if (replaying || state.entries.length === 0) {
+    return state.entries.length === 0;
+  }
+
+  replaying = true;
+  const conflicted = new Set();
+
+  try {
+    while (state.entries.length > 0) {
+      const entry = state.entries[0];
+      const recordId = resolveIds(entry.recordId);
+      const data = resolveIds(entry.data);
+      const collection = pbclient.collection(entry.collection);
+
+      try {
+        if (entry.action === 'create') {
+          const record = await collection.create(data);
+          state.idMap[entry.recordId] = record.id;
+
+          if (state.lastSession && state.lastSession.id === entry.recordId) {
+            state.lastSession = record;
+          }
+        } else if (conflicted.has(recordId)) {
+          reportConflict(entry, null, 'Earlier queued change to this record conflicted');
+        } else {
+          const server = await collection.getOne(recordId);
+
+          if (!entry.chained && entry.baseUpdated && server.updated !== entry.baseUpdated) {
+            conflicted.add(recordId);
+            reportConflict(entry, server, 'Record changed on the server while offline');
+
+            if (state.lastSession && state.lastSession.id === recordId) {
+              state.lastSession = server;
+            }
+          } else {
+            const record = await collection.update(recordId, data);
+
+            if (state.lastSession && (state.lastSession.id === recordId || state.lastSession.id === entry.recordId)) {
+              state.lastSession = record;
+            }
+          }
+        }
+      } catch (error) {
+        if (isNetworkError(error)) {
+          console.log('Server still unreachable, will retry queued session changes later');
+          return false;
+        }
+
+        conflicted.add(recordId);
+        reportConflict(entry, null, error.message || 'Rejected by server');
+      }
+
+      state.entries.shift();
+      await persist();
+    }
+
+    console.log('Session queue replayed');
+    window.dispatchEvent(new CustomEvent('session-queue-replayed', {
+      detail: { idMap: { ...state.idMap }, session: state.lastSession }
+    }));
+
+    return true;
+  } finally {
+    replaying = false;
+    await persist();
+  }
+}
+
+/**
+ * Replay the queue now, whenever the browser reports it is back online,
+ * and on an interval while entries are pending
+ * @param {number} intervalMs - Retry interval (default: 15 seconds)
+ * @returns {Function} - Stops the replay loop
+ */
+export function startQueueReplay(intervalMs = 15000) {
+  const tryReplay = () => {
+    replayQueue().catch(error => console.error('Error replaying session queue:', error));
+  };
+
+  tryReplay();
+  window.addEventListener('online', tryReplay);
+  const interval = setInterval(() => {
+    if (pendingCount() > 0) {
+      tryReplay();
+    }
+  }, intervalMs);
+
+  return () => {
+    window.removeEventListener('online', tryReplay);
+    clearInterval(interval);
+  };
+}
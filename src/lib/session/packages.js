@@ -0,0 +1,102 @@
+import { minutesOfDay, quoteSession, roundMoney } from '@/lib/session/pricing';
+
+/**
+ * Session packages.
+ * A package is a session_packages row sold for a device group: either a
+ * fixed number of `minutes`, or `till_closing`, which runs up to the
+ * package's `closing_time`. Pure helpers like pricing.js; the rows are
+ * loaded by fetchPricingContext.
+ */
+
+// Used when a group has no packages configured, matching the old fixed 1 hour booking
+export const DEFAULT_PACKAGE = {
+  id: 'default_1h',
+  name: '1 Hour',
+  minutes: 60,
+  till_closing: false
+};
+
+/**
+ * Whether a till-closing package closes after midnight, on the day after it opened
+ * @param {Object} sessionPackage - session_packages record
+ * @returns {boolean}
+ */
+export function closesAfterMidnight(sessionPackage) {
+  if (sessionPackage.closes_after_midnight) return true;
+
+  const opening = minutesOfDay(sessionPackage.opening_time);
+  const closing = minutesOfDay(sessionPackage.closing_time);
+  return !isNaN(opening) && !isNaN(closing) && closing < opening;
+}
+
+/**
+ * When a session bought with a package ends
+ * A till-closing package ends at its closing_time on the same day. Only a
+ * package that closes after midnight (closes_after_midnight, or a
+ * closing_time earlier than its opening_time) runs on into the next day.
+ * @param {Object} sessionPackage - session_packages record
+ * @param {Date|string} from - When the package starts (session start, or current out_time when extending)
+ * @returns {Date|null} - New out_time, or null if the package cannot be used from that moment
+ */
+export function packageOutTime(sessionPackage, from) {
+  const start = new Date(from);
+  if (!sessionPackage || isNaN(start.getTime())) return null;
+
+  if (sessionPackage.till_closing) {
+    const closing = minutesOfDay(sessionPackage.closing_time);
+    if (isNaN(closing)) return null;
+
+    const end = new Date(start);
+    end.setHours(Math.floor(closing / 60), closing % 60, 0, 0);
+    if (end > start) return end;
+
+    // Past closing: only an evening start of an after-midnight package has time left
+    if (!closesAfterMidnight(sessionPackage)) return null;
+
+    const opening = minutesOfDay(sessionPackage.opening_time);
+    const startMinutes = start.getHours() * 60 + start.getMinutes();
+    if (!isNaN(opening) && startMinutes < opening) return null;
+
+    end.setDate(end.getDate() + 1);
+    return end;
+  }
+
+  const minutes = Number(sessionPackage.minutes) || 0;
+  if (minutes <= 0) return null;
+
+  return new Date(start.getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * Price every package for a session, under the group rate and happy hours
+ * @param {Object} params - Quote parameters
+ * @param {Object} params.group - groups record
+ * @param {Array} params.happyHours - happy_hours records for the group
+ * @param {Array} params.packages - session_packages records for the group
+ * @param {Date|string} params.inTime - Session start
+ * @param {Date|string} params.from - Where the package starts (equal to inTime for a new session)
+ * @returns {Array} - Options ({package, outTime, quote, addedCost}) in package order
+ */
+export function quotePackages({ group, happyHours = [], packages = [], inTime, from } = {}) {
+  const available = packages && packages.length > 0 ? packages : [DEFAULT_PACKAGE];
+  const start = from || inTime;
+  // A new session has nothing billed yet
+  const current = new Date(start).getTime() === new Date(inTime).getTime()
+    ? { finalCost: 0 }
+    : quoteSession({ group, happyHours, inTime, outTime: start });
+
+  return available
+    .map(sessionPackage => {
+      const outTime = packageOutTime(sessionPackage, start);
+      if (!outTime) return null;
+
+      const quote = quoteSession({ group, happyHours, inTime, outTime });
+      return {
+        package: sessionPackage,
+        outTime,
+        quote,
+        addedCost: Math.max(0, roundMoney(quote.finalCost - current.finalCost))
+      };
+    })
+    .filter(Boolean);
+}
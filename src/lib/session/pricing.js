@@ -0,0 +1,287 @@
+/**
+ * Pure pricing helpers for session billing.
+ * Nothing in here talks to PocketBase or React: callers fetch the device's
+ * group and happy_hours rows and pass them in, so a bill can be computed
+ * (and checked) from plain data.
+ */
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+// Billed when a session's times are missing or make no sense, so it is never closed for nothing
+export const FALLBACK_DURATION_HOURS = 1;
+
+/**
+ * Round a currency amount to 2 decimals
+ * @param {number} value - Amount to round
+ * @returns {number} - Rounded amount
+ */
+export function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+/**
+ * Weekday name as stored in happy_hours.days (e.g. "Monday")
+ * @param {Date} date - Date to read
+ * @returns {string} - Weekday name
+ */
+export function weekdayName(date) {
+  return date.toLocaleDateString('en-US', { weekday: 'long' });
+}
+
+/**
+ * 24h "HH:MM" clock time as stored in happy_hours.start_time/end_time
+ * @param {Date} date - Date to read
+ * @returns {string} - Clock time
+ */
+export function clockTime(date) {
+  const hours = date.getHours().toString().padStart(2, '0');
+  const minutes = date.getMinutes().toString().padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+/**
+ * Get the in/out window of a session record.
+ * Uses `duration` (minutes) when present, otherwise in_time and out_time.
+ * @param {Object} session - Session record
+ * @returns {{inTime: Date|null, outTime: Date|null}} - Session window
+ */
+export function sessionWindow(session) {
+  const inTime = session?.in_time ? new Date(session.in_time) : null;
+  let outTime = session?.out_time ? new Date(session.out_time) : null;
+
+  if (inTime && !isNaN(inTime.getTime()) && session.duration > 0) {
+    outTime = new Date(inTime.getTime() + session.duration * 60 * 1000);
+  }
+
+  return { inTime, outTime };
+}
+
+/**
+ * Parse a "HH:MM" clock time into minutes since midnight
+ * @param {string} time - Clock time
+ * @returns {number} - Minutes since midnight, or NaN
+ */
+export function minutesOfDay(time) {
+  const [hours, minutes] = String(time || '').split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a happy hour row applies at a given moment.
+ * A row whose end_time is before its start_time runs past midnight: its
+ * `days` are the days the window opens on, and it carries on into the
+ * early hours of the following day.
+ * @param {Object} happyHour - happy_hours record
+ * @param {Date} at - Moment to check
+ * @returns {boolean} - True if the rule is active at that moment
+ */
+export function isHappyHourActive(happyHour, at) {
+  if (!happyHour || happyHour.status !== 'Active') return false;
+
+  const start = minutesOfDay(happyHour.start_time);
+  const end = minutesOfDay(happyHour.end_time);
+  if (isNaN(start) || isNaN(end) || start === end) return false;
+
+  const days = Array.isArray(happyHour.days) ? happyHour.days : [happyHour.days];
+  const now = at.getHours() * 60 + at.getMinutes();
+
+  if (start < end) {
+    return days.includes(weekdayName(at)) && now >= start && now < end;
+  }
+
+  if (now >= start) {
+    return days.includes(weekdayName(at));
+  }
+
+  const previousDay = new Date(at);
+  previousDay.setDate(previousDay.getDate() - 1);
+  return now < end && days.includes(weekdayName(previousDay));
+}
+
+/**
+ * Describe the discount a happy hour row gives
+ * @param {Object} happyHour - happy_hours record
+ * @returns {Object|null} - Rule summary, or null if the row gives no discount
+ */
+export function describeRule(happyHour) {
+  if (!happyHour) return null;
+
+  const summary = {
+    id: happyHour.id,
+    start_time: happyHour.start_time,
+    end_time: happyHour.end_time
+  };
+
+  if (happyHour.discount_percentage && happyHour.discount_percentage > 0) {
+    return { ...summary, type: 'percentage', value: parseFloat(happyHour.discount_percentage) };
+  }
+
+  if (happyHour.fixed_rate && happyHour.fixed_rate > 0) {
+    return { ...summary, type: 'fixed_rate', value: parseFloat(happyHour.fixed_rate) };
+  }
+
+  return null;
+}
+
+/**
+ * Happy hours running now or still to start today, soonest first
+ * @param {Array} happyHours - happy_hours records
+ * @param {Date} now - Current time
+ * @returns {Array<{happyHour: Object, rule: Object, active: boolean}>}
+ */
+export function happyHoursToday(happyHours = [], now = new Date()) {
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+  return happyHours
+    .map(happyHour => {
+      const rule = describeRule(happyHour);
+      if (!rule) return null;
+
+      if (isHappyHourActive(happyHour, now)) {
+        return { happyHour, rule, active: true };
+      }
+
+      const days = Array.isArray(happyHour.days) ? happyHour.days : [happyHour.days];
+      const start = minutesOfDay(happyHour.start_time);
+      if (happyHour.status === 'Active' && days.includes(weekdayName(now)) && start > nowMinutes) {
+        return { happyHour, rule, active: false };
+      }
+
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.active - a.active) || (minutesOfDay(a.happyHour.start_time) - minutesOfDay(b.happyHour.start_time)));
+}
+
+/**
+ * Price one stretch of time at the group rate or under a happy hour rule
+ * @param {number} hourlyRate - Group rate per hour
+ * @param {Object|null} rule - Rule summary from describeRule
+ * @param {number} hours - Length of the stretch in hours
+ * @returns {number} - Unrounded cost
+ */
+function priceHours(hourlyRate, rule, hours) {
+  if (!rule) return hourlyRate * hours;
+  if (rule.type === 'percentage') return hourlyRate * (1 - rule.value / 100) * hours;
+  return rule.value * hours;
+}
+
+/**
+ * Split a session into slices priced under a single rate each.
+ * Every minute between inTime and outTime is priced under the first happy
+ * hour active in that minute, or the plain group rate if none is.
+ * @param {Object} params - Quote parameters
+ * @param {Object} params.group - groups record (uses `price` per hour)
+ * @param {Array} params.happyHours - happy_hours records for the group
+ * @param {Date|string} params.inTime - Session start
+ * @param {Date|string} params.outTime - Session end
+ * @returns {Array} - Slices ({from, to, minutes, rule, baseCost, cost})
+ */
+export function sliceSession({ group, happyHours = [], inTime, outTime } = {}) {
+  const start = new Date(inTime);
+  const end = new Date(outTime);
+  const hourlyRate = group && group.price ? parseFloat(group.price) || 0 : 0;
+  const slices = [];
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+    return slices;
+  }
+
+  const rules = (happyHours || []).filter(happyHour => describeRule(happyHour));
+  let cursor = start;
+
+  while (cursor < end) {
+    const nextMinute = new Date(cursor);
+    nextMinute.setSeconds(0, 0);
+    nextMinute.setMinutes(nextMinute.getMinutes() + 1);
+    const sliceEnd = nextMinute < end ? nextMinute : end;
+
+    const happyHour = rules.find(candidate => isHappyHourActive(candidate, cursor));
+    const rule = happyHour ? describeRule(happyHour) : null;
+    const last = slices[slices.length - 1];
+
+    if (last && (last.rule ? last.rule.id : null) === (rule ? rule.id : null)) {
+      last.to = sliceEnd;
+    } else {
+      slices.push({ from: cursor, to: sliceEnd, rule });
+    }
+
+    cursor = sliceEnd;
+  }
+
+  return slices.map(slice => {
+    const hours = (slice.to - slice.from) / MS_PER_HOUR;
+    return {
+      ...slice,
+      minutes: hours * 60,
+      baseCost: roundMoney(hourlyRate * hours),
+      cost: roundMoney(priceHours(hourlyRate, slice.rule, hours))
+    };
+  });
+}
+
+/**
+ * Price a session for a device group, split across happy hour boundaries.
+ * A session whose window is missing or ends before it starts is billed
+ * FALLBACK_DURATION_HOURS at the full rate and flagged with `fallback`.
+ * @param {Object} params - Quote parameters
+ * @param {Object} params.group - groups record (uses `price` per hour)
+ * @param {Array} params.happyHours - happy_hours records for the group
+ * @param {Date|string} params.inTime - Session start
+ * @param {Date|string} params.outTime - Session end
+ * @returns {Object} - Itemised quote
+ */
+export function quoteSession({ group, happyHours = [], inTime, outTime } = {}) {
+  const start = new Date(inTime);
+  const end = new Date(outTime);
+  const hourlyRate = group && group.price ? parseFloat(group.price) || 0 : 0;
+
+  const durationHours = inTime && outTime ? (end - start) / MS_PER_HOUR : NaN;
+
+  const quote = {
+    hourlyRate,
+    durationHours: isNaN(durationHours) || durationHours <= 0 ? 0 : durationHours,
+    baseCost: 0,
+    discountAmount: 0,
+    discountRate: 0,
+    finalCost: 0,
+    happyHourApplied: false,
+    rule: null,
+    slices: [],
+    fallback: false
+  };
+
+  // An empty window (a session that has not started yet) costs nothing
+  if (!hourlyRate || durationHours === 0) {
+    return quote;
+  }
+
+  // A missing or reversed window has nothing to split across happy hours, so no discount either
+  if (!quote.durationHours) {
+    const fallbackCost = roundMoney(hourlyRate * FALLBACK_DURATION_HOURS);
+    return {
+      ...quote,
+      durationHours: FALLBACK_DURATION_HOURS,
+      baseCost: fallbackCost,
+      finalCost: fallbackCost,
+      fallback: true
+    };
+  }
+
+  const slices = sliceSession({ group, happyHours, inTime: start, outTime: end });
+  const baseCost = hourlyRate * durationHours;
+  const finalCost = slices.reduce((total, slice) => total + priceHours(hourlyRate, slice.rule, (slice.to - slice.from) / MS_PER_HOUR), 0);
+  const discountAmount = baseCost - finalCost;
+  const firstRule = slices.find(slice => slice.rule);
+
+  return {
+    ...quote,
+    baseCost: roundMoney(baseCost),
+    discountAmount: roundMoney(discountAmount),
+    discountRate: baseCost > 0 ? roundMoney((discountAmount / baseCost) * 100) : 0,
+    finalCost: roundMoney(finalCost),
+    happyHourApplied: Boolean(firstRule),
+    rule: firstRule ? firstRule.rule : null,
+    slices
+  };
+}
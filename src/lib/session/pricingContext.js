@@ -0,0 +1,42 @@
+import { pbclient } from '@/lib/pocketbase/pb';
+
+/**
+ * Load everything the pricing engine needs for a device:
+ * the device record, its group, and the group's active happy hours and session packages.
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<{device: Object|null, group: Object|null, happyHours: Array, packages: Array}>}
+ */
+export async function fetchPricingContext(deviceId) {
+  const context = { device: null, group: null, happyHours: [], packages: [] };
+
+  if (!deviceId) {
+    return context;
+  }
+
+  context.device = await pbclient.collection('devices').getOne(deviceId);
+
+  if (!context.device || !context.device.group) {
+    return context;
+  }
+
+  context.group = await pbclient.collection('groups').getOne(context.device.group);
+
+  try {
+    context.happyHours = await pbclient.collection('happy_hours').getFullList({
+      filter: `group = "${context.group.id}" && status = "Active"`
+    });
+  } catch (error) {
+    console.error('Error fetching happy hours:', error);
+  }
+
+  try {
+    context.packages = await pbclient.collection('session_packages').getFullList({
+      filter: `group = "${context.group.id}" && status = "Active"`,
+      sort: 'sort_order'
+    });
+  } catch (error) {
+    console.error('Error fetching session packages:', error);
+  }
+
+  return context;
+}
@@ -0,0 +1,160 @@
+import { pbclient } from '@/lib/pocketbase/pb';
+import { queuedUpdate, isNetworkError } from '@/lib/session/offlineQueue';
+import { hashPin } from '@/lib/device/staffUnlock';
+import { KIOSK_REASON, lockKiosk, unlockKiosk } from '@/lib/device/kioskController';
+
+/**
+ * Customer privacy lock.
+ * A customer who steps away locks the PC with a temporary PIN; the session
+ * keeps running underneath. The lock lifts with that PIN or the account
+ * password. Every MAX_ATTEMPTS wrong tries flag the device record so the
+ * counter can come and check. The lock is kept in localStorage, so a
+ * restart of the client does not open the account up.
+ */
+
+export const MIN_PIN_LENGTH = 4;
+const MAX_ATTEMPTS = 5;
+const STORAGE_KEY = 'privacy_lock';
+
+const listeners = new Set();
+
+function readLock() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+  } catch (error) {
+    console.error('Error reading privacy lock:', error);
+    return null;
+  }
+}
+
+function writeLock(lock) {
+  if (lock) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(lock));
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+  listeners.forEach(listener => listener(lock));
+}
+
+/**
+ * The current privacy lock, if the PC is locked by its customer
+ * @returns {{sessionId: string, deviceId: string, salt: string, pinHash: string, failedAttempts: number, lockedAt: string}|null}
+ */
+export function getPrivacyLock() {
+  return readLock();
+}
+
+/**
+ * Listen for the privacy lock going on or off
+ * @param {Function} listener - Called with the lock, or null once it is lifted
+ * @returns {Function} - Stops listening
+ */
+export function subscribePrivacyLock(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Lock the PC with a temporary PIN, keeping the session running
+ * @param {Object} session - Current session record
+ * @param {string} deviceId - Device ID
+ * @param {string} pin - PIN chosen by the customer
+ * @returns {Promise<void>}
+ */
+export async function startPrivacyLock(session, deviceId, pin) {
+  if (!pin || pin.length < MIN_PIN_LENGTH) {
+    throw new Error(`The PIN needs at least ${MIN_PIN_LENGTH} digits`);
+  }
+
+  const salt = Math.random().toString(36).slice(2, 10);
+  writeLock({
+    sessionId: session.id,
+    deviceId,
+    salt,
+    pinHash: await hashPin(pin, salt),
+    failedAttempts: 0,
+    lockedAt: new Date().toISOString()
+  });
+  await lockKiosk(KIOSK_REASON.PRIVACY_LOCK);
+  console.log('Privacy lock on for session', session.id);
+}
+
+/**
+ * Drop the privacy lock without unlocking the PC (the session ended or the customer logged out)
+ */
+export function clearPrivacyLock() {
+  if (readLock()) {
+    writeLock(null);
+  }
+}
+
+async function unlock() {
+  writeLock(null);
+  await unlockKiosk(KIOSK_REASON.SESSION_ACTIVE);
+  console.log('Privacy lock lifted');
+}
+
+async function recordFailure(lock) {
+  const failedAttempts = lock.failedAttempts + 1;
+  writeLock({ ...lock, failedAttempts });
+
+  if (failedAttempts % MAX_ATTEMPTS === 0) {
+    console.log(`Privacy lock: ${failedAttempts} wrong attempts, alerting staff`);
+    try {
+      await queuedUpdate('devices', lock.deviceId, {
+        privacy_alert_at: new Date().toISOString(),
+        privacy_failed_attempts: failedAttempts
+      });
+    } catch (error) {
+      console.error('Error alerting staff about privacy lock:', error);
+    }
+  }
+}
+
+/**
+ * Try to lift the privacy lock with the temporary PIN
+ * @param {string} pin - PIN as typed
+ * @returns {Promise<boolean>} - True if the lock was lifted
+ */
+export async function unlockWithPin(pin) {
+  const lock = readLock();
+  if (!lock) return true;
+
+  if (await hashPin(pin, lock.salt) === lock.pinHash) {
+    await unlock();
+    return true;
+  }
+
+  await recordFailure(lock);
+  return false;
+}
+
+/**
+ * Try to lift the privacy lock with the logged in account's password
+ * @param {string} password - Password as typed
+ * @returns {Promise<boolean>} - True if the lock was lifted
+ * @throws {Error} - When the server cannot be reached to check the password
+ */
+export async function unlockWithPassword(password) {
+  const lock = readLock();
+  if (!lock) return true;
+
+  const account = pbclient.authStore.record;
+  const identity = account && (account.email || account.username);
+
+  try {
+    if (identity && password) {
+      await pbclient.collection('clients').authWithPassword(identity, password);
+      await unlock();
+      return true;
+    }
+  } catch (error) {
+    if (isNetworkError(error)) {
+      throw new Error('The password cannot be checked offline, use your PIN');
+    }
+    console.log('Privacy lock: password rejected');
+  }
+
+  await recordFailure(lock);
+  return false;
+}
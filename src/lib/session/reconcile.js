@@ -0,0 +1,147 @@
+import { pbclient } from '@/lib/pocketbase/pb';
+import { queuedUpdate, isNetworkError } from '@/lib/session/offlineQueue';
+import { SESSION_STATUS, closeSession, effectiveOutTime, openSessionFilter } from '@/lib/session/lifecycle';
+import { quoteSession, sessionWindow } from '@/lib/session/pricing';
+import { fetchPricingContext } from '@/lib/session/pricingContext';
+import { graceMinutes } from '@/lib/session/warnings';
+import { serverNow } from '@/lib/session/serverTime';
+
+/**
+ * Stale session close-out.
+ * A session is normally closed by the client running on its PC when the
+ * time runs out. If the PC was switched off, the session stays open and the
+ * device stays In-Use. This finds this device's sessions whose out_time
+ * (plus the group's grace period) has passed, closes them with the billing
+ * for the time booked, and frees the device once nothing is left open.
+ * Paused sessions are left alone: their clock is stopped until staff resume them.
+ */
+
+const RECONCILE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Statuses a session can be stuck in after its PC went away
+const STALE_STATUSES = [
+  SESSION_STATUS.BOOKED,
+  SESSION_STATUS.OCCUPIED,
+  SESSION_STATUS.ACTIVE,
+  SESSION_STATUS.EXTENDED
+];
+
+function staleSessionFilter(deviceId) {
+  const statuses = STALE_STATUSES.map(status => `status = "${status}"`).join(' || ');
+  return `device = "${deviceId}" && (${statuses}) && out_time != "" && out_time < @now`;
+}
+
+// A booking nobody showed up for is closed without a charge
+function staleBilling(session, pricing) {
+  if (session.status === SESSION_STATUS.BOOKED) {
+    return { amount_paid: 0, session_total: 0, discount_amount: 0, discount_rate: 0 };
+  }
+
+  const { inTime, outTime } = sessionWindow(session);
+  const quote = quoteSession({ ...pricing, inTime, outTime });
+
+  if (quote.hourlyRate > 0) {
+    return {
+      amount_paid: quote.finalCost,
+      session_total: quote.finalCost,
+      discount_amount: quote.discountAmount,
+      discount_rate: quote.discountRate
+    };
+  }
+
+  const total = Number(session.session_total) || 0;
+  return { amount_paid: total, session_total: total, discount_amount: 0, discount_rate: 0 };
+}
+
+// Free the device, unless another session still holds it
+async function releaseDevice(deviceId) {
+  try {
+    const open = await pbclient.collection('sessions').getList(1, 1, {
+      filter: openSessionFilter(deviceId)
+    });
+    if (open.items.length > 0) return;
+
+    await queuedUpdate('devices', deviceId, {
+      status: 'Available',
+      client: ''
+    });
+    console.log('Device released after closing stale sessions');
+  } catch (error) {
+    console.error('Error releasing device after stale sessions:', error);
+  }
+}
+
+/**
+ * Close this device's sessions that ran out while nobody was there to close them
+ * @param {string} deviceId - Device ID
+ * @returns {Promise<number>} - Number of sessions closed
+ */
+export async function reconcileStaleSessions(deviceId) {
+  if (!deviceId) return 0;
+
+  const stale = await pbclient.collection('sessions').getFullList({
+    filter: staleSessionFilter(deviceId),
+    sort: 'out_time'
+  });
+
+  if (stale.length === 0) return 0;
+
+  let pricing = { group: null, happyHours: [] };
+  try {
+    const { group, happyHours } = await fetchPricingContext(deviceId);
+    pricing = { group, happyHours };
+  } catch (error) {
+    console.error('Error fetching pricing for stale sessions:', error);
+  }
+
+  const graceMs = graceMinutes(pricing.group) * 60 * 1000;
+  const now = serverNow();
+  let closed = 0;
+
+  for (const session of stale) {
+    // Still inside the grace period, the customer may yet extend
+    if (now < effectiveOutTime(session, now).getTime() + graceMs) continue;
+
+    try {
+      await closeSession(session, staleBilling(session, pricing));
+      closed += 1;
+      console.log(`Closed stale session ${session.id} (ended ${session.out_time})`);
+    } catch (error) {
+      console.error(`Error closing stale session ${session.id}:`, error);
+    }
+  }
+
+  if (closed > 0) {
+    await releaseDevice(deviceId);
+  }
+
+  return closed;
+}
+
+/**
+ * Reconcile stale sessions now and then every few minutes
+ * @param {string} deviceId - Device ID
+ * @param {number} intervalMs - Time between runs
+ * @returns {Function} - Stops reconciling
+ */
+export function startSessionReconciler(deviceId, intervalMs = RECONCILE_INTERVAL_MS) {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await reconcileStaleSessions(deviceId);
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        console.error('Error reconciling stale sessions:', error);
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const interval = setInterval(run, intervalMs);
+  return () => clearInterval(interval);
+}
@@ -0,0 +1,173 @@
+import { pbclient } from '@/lib/pocketbase/pb';
+import { queuedCreate } from '@/lib/session/offlineQueue';
+
+/**
+ * Trusted time for session computations.
+ * The offset between the PocketBase server and the local clock is measured
+ * with the server's time route (pb_hooks/server_time.pb.js, answering
+ * `{ time }`), a read that writes nothing. Between syncs the time is
+ * carried forward on the monotonic performance clock, which the customer
+ * cannot set, so changing the PC clock does not move the session end. A jump of the wall clock against
+ * the monotonic one triggers a resync; if the server confirms the local
+ * clock was moved, a tamper event is reported to the counter.
+ */
+
+const TIME_ROUTE = '/api/server-time';
+const STORAGE_KEY = 'server_clock';
+const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+const CHECK_INTERVAL_MS = 5000;
+const JUMP_THRESHOLD_MS = 5000;
+
+// Server time at a point on the monotonic clock
+let anchor = null;
+
+function readOffset() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return saved && Number.isFinite(saved.offsetMs) ? saved.offsetMs : null;
+  } catch (error) {
+    console.error('Error reading server clock offset:', error);
+    return null;
+  }
+}
+
+function writeOffset(offsetMs) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ offsetMs, syncedAt: new Date().toISOString() }));
+  } catch (error) {
+    console.error('Error saving server clock offset:', error);
+  }
+}
+
+// Until the first sync of this run, fall back on the offset measured last time
+function currentAnchor() {
+  if (!anchor) {
+    anchor = { serverMs: Date.now() + (readOffset() || 0), perfMs: performance.now() };
+  }
+  return anchor;
+}
+
+// PocketBase writes dates as "2024-01-01 12:00:00.000Z"; the time route answers in either form
+function parseServerDate(value) {
+  return value ? Date.parse(String(value).replace(' ', 'T')) : NaN;
+}
+
+/**
+ * Server-corrected time in milliseconds
+ * @returns {number}
+ */
+export function serverTimeMs() {
+  const { serverMs, perfMs } = currentAnchor();
+  return serverMs + (performance.now() - perfMs);
+}
+
+/**
+ * Server-corrected time; use instead of `new Date()` for anything that decides when a session ends
+ * @returns {Date}
+ */
+export function serverNow() {
+  return new Date(serverTimeMs());
+}
+
+/**
+ * How far the server clock is ahead of the local clock right now
+ * @returns {number} - Milliseconds, negative if the local clock is ahead
+ */
+export function getClockOffset() {
+  return serverTimeMs() - Date.now();
+}
+
+/**
+ * Measure the server clock against the local one
+ * @returns {Promise<{offsetMs: number, roundTripMs: number}>}
+ */
+export async function syncServerTime() {
+  const sentPerf = performance.now();
+  const sentAt = Date.now();
+  const response = await pbclient.send(TIME_ROUTE, { method: 'GET', requestKey: null });
+  const receivedPerf = performance.now();
+
+  const serverMs = parseServerDate(response && response.time);
+  if (Number.isNaN(serverMs)) {
+    throw new Error('The server did not return a timestamp');
+  }
+
+  // The server read its clock somewhere in the round trip; assume halfway
+  const roundTripMs = receivedPerf - sentPerf;
+  const offsetMs = serverMs - (sentAt + roundTripMs / 2);
+
+  anchor = { serverMs, perfMs: sentPerf + roundTripMs / 2 };
+  writeOffset(offsetMs);
+  return { offsetMs, roundTripMs };
+}
+
+async function reportClockJump(deviceId, jumpMs, verified) {
+  console.warn(`Local clock moved by ${Math.round(jumpMs / 1000)}s${verified ? '' : ' (server unreachable)'}`);
+  try {
+    await queuedCreate('tamper_events', {
+      device: deviceId,
+      type: 'clock_jump',
+      jump_seconds: Math.round(jumpMs / 1000),
+      verified,
+      local_time: new Date().toISOString(),
+      server_time: serverNow().toISOString()
+    });
+  } catch (error) {
+    console.error('Error reporting clock jump:', error);
+  }
+}
+
+/**
+ * Keep the server time in sync and watch the local clock for jumps
+ * @param {string} deviceId - Device ID
+ * @returns {Function} - Stops syncing
+ */
+export function startTimeSync(deviceId) {
+  let stopped = false;
+  let syncing = false;
+  let wallDrift = Date.now() - performance.now();
+
+  const sync = async (jumpMs = 0) => {
+    if (syncing || stopped) return;
+    syncing = true;
+
+    const offsetBefore = getClockOffset();
+    try {
+      const { offsetMs } = await syncServerTime();
+      const offsetChange = offsetMs - offsetBefore;
+
+      // A sleeping PC also jumps the wall clock, but leaves the offset alone
+      if (jumpMs && Math.abs(offsetChange) > JUMP_THRESHOLD_MS) {
+        await reportClockJump(deviceId, -offsetChange, true);
+      }
+    } catch (error) {
+      console.error('Error syncing server time:', error);
+      // Offline: keep counting on the monotonic clock and report what was seen
+      if (jumpMs) {
+        await reportClockJump(deviceId, jumpMs, false);
+      }
+    } finally {
+      syncing = false;
+    }
+  };
+
+  const checkClock = () => {
+    const drift = Date.now() - performance.now();
+    const jumpMs = drift - wallDrift;
+    wallDrift = drift;
+
+    if (Math.abs(jumpMs) > JUMP_THRESHOLD_MS) {
+      sync(jumpMs);
+    }
+  };
+
+  sync();
+  const syncInterval = setInterval(() => sync(), SYNC_INTERVAL_MS);
+  const checkInterval = setInterval(checkClock, CHECK_INTERVAL_MS);
+
+  return () => {
+    stopped = true;
+    clearInterval(syncInterval);
+    clearInterval(checkInterval);
+  };
+}
@@ -0,0 +1,131 @@
+import { pbclient } from '@/lib/pocketbase/pb';
+import { roundMoney } from '@/lib/session/pricing';
+import { queuedUpdate } from '@/lib/session/offlineQueue';
+
+/**
+ * Snack orders placed from the client PC.
+ * An order is a snack_orders record linked to the session; placing one takes
+ * the items out of snacks stock and adds the order total to the session's
+ * snacks_total and total_amount. Orders need the server (the counter has to
+ * see them), so the order itself is never queued; the session total goes
+ * through the offline queue like every other session write, so it lands
+ * behind any queued change to the session instead of racing it.
+ */
+
+export const ORDER_STATUS = {
+  PLACED: 'Placed',
+  PREPARING: 'Preparing',
+  DELIVERED: 'Delivered',
+  CANCELLED: 'Cancelled'
+};
+
+export class SnackOrderError extends Error {
+  constructor(message, snack = null) {
+    super(message);
+    this.name = 'SnackOrderError';
+    this.snack = snack;
+  }
+}
+
+/**
+ * Total price of a cart
+ * @param {Array} cart - Cart lines ({snack, quantity})
+ * @returns {number} - Rounded total
+ */
+export function cartTotal(cart = []) {
+  return roundMoney(cart.reduce((total, line) => total + (parseFloat(line.snack.selling_price) || 0) * line.quantity, 0));
+}
+
+async function restoreStock(taken) {
+  for (const line of taken) {
+    try {
+      await pbclient.collection('snacks').update(line.snack.id, { 'quantity+': line.quantity });
+    } catch (error) {
+      console.error(`Error restoring stock for ${line.snack.name}:`, error);
+    }
+  }
+}
+
+/**
+ * Take the cart's items out of stock.
+ * Uses PocketBase's atomic decrement so two PCs ordering the last item
+ * cannot both get it; a line that would take stock below zero, or that
+ * fails to update, is put back along with everything taken before it.
+ * @param {Array} cart - Cart lines ({snack, quantity})
+ * @throws {SnackOrderError} - If an item does not have enough stock
+ */
+async function takeStock(cart) {
+  const taken = [];
+
+  for (const line of cart) {
+    let updated;
+    try {
+      updated = await pbclient.collection('snacks').update(line.snack.id, { 'quantity-': line.quantity });
+    } catch (error) {
+      // The failed line took nothing; put back the ones before it
+      await restoreStock(taken);
+      throw error;
+    }
+    taken.push(line);
+
+    if (updated.quantity < 0) {
+      await restoreStock(taken);
+      throw new SnackOrderError(`Not enough ${line.snack.name} left in stock`, line.snack);
+    }
+  }
+
+  return taken;
+}
+
+/**
+ * Place a snack order for a session
+ * @param {Object} session - Open session record (needs id)
+ * @param {Array} cart - Cart lines ({snack, quantity})
+ * @returns {Promise<Object>} - Created snack_orders record
+ * @throws {SnackOrderError} - If the cart is empty or an item is out of stock
+ */
+export async function placeSnackOrder(session, cart) {
+  if (!session || !session.id) {
+    throw new SnackOrderError('Start a session before ordering snacks');
+  }
+
+  const lines = (cart || []).filter(line => line.quantity > 0);
+  if (lines.length === 0) {
+    throw new SnackOrderError('The cart is empty');
+  }
+
+  const total = cartTotal(lines);
+  const taken = await takeStock(lines);
+
+  let order;
+  try {
+    order = await pbclient.collection('snack_orders').create({
+      session: session.id,
+      device: session.device,
+      items: lines.map(line => ({
+        snack: line.snack.id,
+        name: line.snack.name,
+        quantity: line.quantity,
+        price: parseFloat(line.snack.selling_price) || 0
+      })),
+      total,
+      status: ORDER_STATUS.PLACED
+    });
+  } catch (error) {
+    await restoreStock(taken);
+    throw error;
+  }
+
+  try {
+    await queuedUpdate('sessions', session.id, {
+      'snacks_total+': total,
+      'total_amount+': total
+    });
+  } catch (error) {
+    // The order stands; the counter can still see it against the session
+    console.error('Error adding snack order to session total:', error);
+  }
+
+  console.log(`Snack order ${order.id} placed for session ${session.id}: ₹${total.toFixed(2)}`);
+  return order;
+}
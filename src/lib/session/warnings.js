@@ -0,0 +1,101 @@
+/**
+ * End-of-session warnings.
+ * A device group can set its own warning schedule (groups.warning_schedule,
+ * a list of `{ minutes, style }`) and a grace period after the session ends
+ * before the PC locks (groups.grace_minutes). Nothing in here talks to
+ * PocketBase; callers pass the group record in.
+ */
+
+export const WARNING_STYLE = {
+  TOAST: 'toast',
+  SYSTEM: 'system',
+  SOUND: 'sound'
+};
+
+export const DEFAULT_WARNING_SCHEDULE = [
+  { minutes: 15, style: WARNING_STYLE.TOAST },
+  { minutes: 5, style: WARNING_STYLE.SYSTEM },
+  { minutes: 1, style: WARNING_STYLE.SOUND }
+];
+
+// The last stretch of a session shows a full-screen countdown
+export const FINAL_COUNTDOWN_SECONDS = 60;
+
+/**
+ * The group's warning schedule, largest lead time first
+ * @param {Object} group - groups record
+ * @returns {Array<{minutes: number, style: string}>}
+ */
+export function warningSchedule(group) {
+  const schedule = group && Array.isArray(group.warning_schedule) && group.warning_schedule.length > 0
+    ? group.warning_schedule
+    : DEFAULT_WARNING_SCHEDULE;
+
+  return schedule
+    .filter(stage => Number(stage.minutes) > 0)
+    .map(stage => ({
+      minutes: Number(stage.minutes),
+      style: Object.values(WARNING_STYLE).includes(stage.style) ? stage.style : WARNING_STYLE.TOAST
+    }))
+    .sort((a, b) => b.minutes - a.minutes);
+}
+
+/**
+ * Minutes a session may run over before the PC locks
+ * @param {Object} group - groups record
+ * @returns {number}
+ */
+export function graceMinutes(group) {
+  return Math.max(0, Number(group && group.grace_minutes) || 0);
+}
+
+/**
+ * Pick the warning to raise now, if any.
+ * Only the closest stage that is due fires, so a customer who logs in with
+ * three minutes left gets the 5 minute warning and not the 15 minute one as
+ * well. Stages the session has been extended past are armed again.
+ * @param {Array} schedule - From warningSchedule
+ * @param {number} remainingMs - Time left in the session
+ * @param {Set<number>} fired - Lead times (minutes) already warned about; updated in place
+ * @returns {{minutes: number, style: string}|null}
+ */
+export function dueWarning(schedule, remainingMs, fired) {
+  schedule.forEach(stage => {
+    if (remainingMs > stage.minutes * 60 * 1000) {
+      fired.delete(stage.minutes);
+    }
+  });
+
+  if (remainingMs <= 0) return null;
+
+  const due = schedule.filter(stage => remainingMs <= stage.minutes * 60 * 1000 && !fired.has(stage.minutes));
+  if (due.length === 0) return null;
+
+  due.forEach(stage => fired.add(stage.minutes));
+  return due[due.length - 1];
+}
+
+/**
+ * Play a short warning beep
+ */
+export function playWarningSound() {
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContext();
+
+    [0, 0.3, 0.6].forEach(offset => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.frequency.value = 880;
+      gain.gain.value = 0.2;
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+      oscillator.start(context.currentTime + offset);
+      oscillator.stop(context.currentTime + offset + 0.2);
+    });
+
+    setTimeout(() => context.close(), 1500);
+  } catch (error) {
+    console.error('Error playing warning sound:', error);
+  }
+}
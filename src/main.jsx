@@ -1,6 +1,6 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
-import { app, events, init, window as neuWindow } from '@neutralinojs/lib';
+import { events, init, window as neuWindow } from '@neutralinojs/lib';
 import App from './App';
 import './index.css';
 import { ThemeProvider } from './components/theme/theme-provider';
@@ -44,7 +44,10 @@ import { ThemeProvider } from './components/theme/theme-provider';
 		</React.StrictMode>
 	);
 
-	events.on('windowClose', () => app.exit());
+	// Closing the window needs a staff PIN, StaffUnlock exits the app once it is given
+	events.on('windowClose', () => {
+		window.dispatchEvent(new CustomEvent('request-staff-unlock', { detail: { purpose: 'exit' } }));
+	});
 
 	neuWindow.focus();
 })();
@@ -16,3 +16,21 @@ export const getSavedLoginInfo = () => {
 };
 
 
+
+// Get this PC's device ID from the saved login info, falling back to the device registration
+export const getSavedDeviceId = () => {
+	const savedInfo = getSavedLoginInfo();
+	if (savedInfo?.deviceId) {
+		return savedInfo.deviceId;
+	}
+
+	try {
+		const savedDeviceInfo = localStorage.getItem('device_info');
+		if (savedDeviceInfo) {
+			return JSON.parse(savedDeviceInfo).deviceId || null;
+		}
+	} catch (error) {
+		console.error('Error parsing saved device info:', error);
+	}
+	return null;
+};